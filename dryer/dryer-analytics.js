@@ -0,0 +1,190 @@
+/**
+ * Dryer Analytics
+ * Live rhythm view under the drum: a scrolling piano roll of hits per surface over a
+ * 16th-note grid, an inter-onset interval (IOI) histogram, hits per second and the
+ * velocity distribution. It is fed the notes the drum actually plays (muted surfaces
+ * drop out, quantized hits show where they land), so a peaky IOI histogram sitting on
+ * the grid guides means RPM / vane settings that groove.
+ */
+
+const ANALYTICS_WINDOW = 8;      // seconds of hits kept, drawn and analysed
+const ANALYTICS_RATE_WINDOW = 2; // seconds averaged for the hits/s readout
+const IOI_MAX = 1;               // seconds - longer gaps count in the last bin
+const IOI_BINS = 40;             // 25 ms each
+const VELOCITY_BINS = 16;        // 8 MIDI velocity steps each
+
+// Note values the IOI peak is named after, in beats
+const ANALYTICS_NOTE_VALUES = [
+    { label: '1/4',   beats: 1 },
+    { label: '1/8',   beats: 1 / 2 },
+    { label: '1/8T',  beats: 1 / 3 },
+    { label: '1/16',  beats: 1 / 4 },
+    { label: '1/16T', beats: 1 / 6 },
+    { label: '1/32',  beats: 1 / 8 },
+];
+
+class DryerAnalytics {
+    constructor() {
+        this.hits = []; // { time, surfaceId, velocity, ballId }, in the order they were played
+
+        this.rollCanvas = document.getElementById('pianoRollCanvas');
+        this.ioiCanvas = document.getElementById('ioiCanvas');
+        this.velocityCanvas = document.getElementById('velocityCanvas');
+    }
+
+    // time: simulation seconds the note sounds at (quantize delay included); velocity: MIDI 0-127
+    record(surfaceId, velocity, time, ballId = 0) {
+        this.hits.push({ time: time, surfaceId: surfaceId, velocity: velocity, ballId: ballId });
+    }
+
+    clear() {
+        this.hits = [];
+    }
+
+    // Forget hits that scrolled out of the window, or that are ahead of a drum that was reset or rewound
+    prune(now) {
+        this.hits = this.hits.filter(hit => hit.time >= now - ANALYTICS_WINDOW && hit.time <= now + IOI_MAX);
+    }
+
+    // Everything the panel shows, from the hits in the window ending at `now`
+    getStats(now, tempo = 120) {
+        this.prune(now);
+
+        const times = this.hits.map(hit => hit.time).sort((a, b) => a - b);
+        const recent = times.filter(time => time > now - ANALYTICS_RATE_WINDOW).length;
+        const rateWindow = Math.min(ANALYTICS_RATE_WINDOW, now);
+
+        // Gaps between consecutive hits on any surface - the rhythm as heard
+        const ioi = new Array(IOI_BINS).fill(0);
+        for (let i = 1; i < times.length; i++) {
+            const bin = Math.floor((times[i] - times[i - 1]) / IOI_MAX * IOI_BINS);
+            ioi[Math.min(IOI_BINS - 1, bin)]++;
+        }
+
+        const velocity = new Array(VELOCITY_BINS).fill(0);
+        let velocitySum = 0;
+        this.hits.forEach(hit => {
+            velocity[Math.min(VELOCITY_BINS - 1, Math.floor(hit.velocity / 128 * VELOCITY_BINS))]++;
+            velocitySum += hit.velocity;
+        });
+
+        // Most common gap (ignoring the overflow bin), named after the nearest note value within 10%
+        let peakBin = -1;
+        for (let i = 0; i < IOI_BINS - 1; i++) {
+            if (ioi[i] > 0 && (peakBin < 0 || ioi[i] > ioi[peakBin])) peakBin = i;
+        }
+        const peak = peakBin < 0 ? 0 : (peakBin + 0.5) * IOI_MAX / IOI_BINS;
+        const beat = 60 / tempo;
+        const noteValue = ANALYTICS_NOTE_VALUES.find(value => Math.abs(peak - value.beats * beat) <= value.beats * beat * 0.1);
+
+        return {
+            count: this.hits.length,
+            hitsPerSecond: rateWindow > 0 ? recent / rateWindow : 0,
+            ioi: ioi,
+            ioiPeak: peak,
+            ioiNote: noteValue ? noteValue.label : null,
+            velocity: velocity,
+            velocityMean: this.hits.length ? velocitySum / this.hits.length : 0
+        };
+    }
+
+    // =====================================================================
+    // DRAWING
+    // =====================================================================
+
+    render(surfaces, now, tempo) {
+        const stats = this.getStats(now, tempo);
+
+        this.drawPianoRoll(surfaces, now, tempo);
+        this.drawHistogram(this.ioiCanvas, stats.ioi, '#00ff88', this.getGridGuides(tempo));
+        this.drawHistogram(this.velocityCanvas, stats.velocity, '#ffaa00', []);
+
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        setText('hitRateText', `${stats.hitsPerSecond.toFixed(1)} hits/s · ${stats.count} in ${ANALYTICS_WINDOW} s`);
+        setText('ioiText', stats.ioiPeak ? `peak ${Math.round(stats.ioiPeak * 1000)} ms${stats.ioiNote ? ` ≈ ${stats.ioiNote}` : ''}` : '');
+        setText('velocityText', stats.count ? `mean ${Math.round(stats.velocityMean)}` : '');
+    }
+
+    // Rows are surfaces (drum segment, leading face, trailing face per vane, then ball on ball), time scrolls right to left
+    drawPianoRoll(surfaces, now, tempo) {
+        const canvas = this.rollCanvas;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const labelWidth = 28;
+        const rowHeight = height / Math.max(1, surfaces.length);
+        const start = now - ANALYTICS_WINDOW;
+        const toX = time => labelWidth + (time - start) / ANALYTICS_WINDOW * (width - labelWidth);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        // Step grid at the tempo: 16ths faint, beats brighter, bars brightest
+        const step = 60 / tempo / 4;
+        for (let n = Math.ceil(Math.max(0, start) / step); n * step <= now; n++) {
+            ctx.fillStyle = n % 16 === 0 ? '#444' : n % 4 === 0 ? '#2a2a2a' : '#151515';
+            ctx.fillRect(Math.round(toX(n * step)), 0, 1, height);
+        }
+
+        const rows = new Map();
+        surfaces.forEach((surface, i) => {
+            rows.set(surface.id, { y: i * rowHeight, color: surface.color });
+
+            ctx.fillStyle = surface.color;
+            ctx.globalAlpha = 0.08;
+            ctx.fillRect(labelWidth, i * rowHeight, width - labelWidth, rowHeight - 1);
+            ctx.globalAlpha = 1.0;
+
+            // D = drum segment, L / T = leading / trailing vane face, B = ball on ball
+            const label = { drum: 'D', vane_leading: 'L', vane_trailing: 'T', ball: 'B' }[surface.type] + (surface.index + 1);
+            if (rowHeight >= 7) {
+                ctx.font = `${Math.min(10, rowHeight - 1)}px monospace`;
+                ctx.textBaseline = 'middle';
+                ctx.fillText(label, 2, i * rowHeight + rowHeight / 2);
+            }
+        });
+
+        // Hits, brighter for harder ones
+        this.hits.forEach(hit => {
+            const row = rows.get(hit.surfaceId);
+            if (!row || hit.time > now) return;
+            ctx.fillStyle = row.color;
+            ctx.globalAlpha = 0.3 + 0.7 * hit.velocity / 127;
+            ctx.fillRect(toX(hit.time) - 1, row.y, 3, Math.max(1, rowHeight - 1));
+        });
+        ctx.globalAlpha = 1.0;
+    }
+
+    // IOI positions of 1/16, 1/8 and 1/4 notes at the tempo, as fractions of the histogram width
+    getGridGuides(tempo) {
+        const beat = 60 / tempo;
+        return [beat / 4, beat / 2, beat].filter(time => time < IOI_MAX).map(time => time / IOI_MAX);
+    }
+
+    drawHistogram(canvas, bins, color, guides) {
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const barWidth = width / bins.length;
+        const max = Math.max(1, ...bins);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#333';
+        guides.forEach(fraction => ctx.fillRect(Math.round(fraction * width), 0, 1, height));
+
+        ctx.fillStyle = color;
+        bins.forEach((count, i) => {
+            const barHeight = count / max * (height - 2);
+            ctx.fillRect(i * barWidth + 0.5, height - barHeight, barWidth - 1, barHeight);
+        });
+    }
+}
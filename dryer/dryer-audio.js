@@ -3,6 +3,24 @@
  * Handles Web Audio synthesis and Web MIDI output
  */
 
+// General MIDI drum notes per surface type, indexed by vane number - one per vane for the knob's 7,
+// wrapping around (modulo the list length) if there are ever more
+const GM_DRUM_KIT = {
+    drum:          [36, 38, 45, 41, 48, 50, 47], // kick, snare, toms
+    vane_leading:  [42, 46, 51, 44, 49, 53, 57], // hats, ride, crash
+    vane_trailing: [37, 39, 56, 54, 75, 70, 76], // rim, clap, cowbell, tambourine, claves, maracas, woodblock
+    ball:          [77],                         // low woodblock
+};
+
+const GM_DRUM_NAMES = {
+    36: 'Kick', 37: 'Rim', 38: 'Snare', 39: 'Clap', 41: 'Floor Tom', 42: 'Closed Hat',
+    44: 'Pedal Hat', 45: 'Low Tom', 46: 'Open Hat', 47: 'Mid Tom', 48: 'Hi-Mid Tom',
+    49: 'Crash', 50: 'High Tom', 51: 'Ride', 53: 'Ride Bell', 54: 'Tambourine',
+    56: 'Cowbell', 57: 'Crash 2', 70: 'Maracas', 75: 'Claves', 76: 'Woodblock', 77: 'Low Woodblock'
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
 // Scale vectors: intervals in semitones, cycled indefinitely across all surfaces.
 // For diatonic scales the vector sums to 12, so each full cycle lands on the next octave.
 // For shorter vectors (e.g. [3,4] sums to 7) the octave accumulates across multiple cycles.
@@ -20,17 +38,58 @@ const DRYER_SCALES = [
     { label: 'Pentatonic Minor',  vector: [3, 2, 2, 3, 2] },
     { label: 'Blues',             vector: [3, 2, 1, 1, 3, 2] },
     { label: 'Diminished',        vector: [2, 1, 2, 1, 2, 1, 2, 1] },
+    { label: 'GM Drum Kit',       vector: [1], drumMap: GM_DRUM_KIT }, // fixed drum notes, root/octave ignored
+];
+
+// How collisions are spread across MIDI channels
+const MIDI_CHANNEL_MODES = [
+    { value: 'ball',    label: 'Per Ball' },          // base channel + ball index
+    { value: 'single',  label: 'Single Channel' },    // everything on the base channel
+    { value: 'surface', label: 'Per Surface Type' },  // drum / vane leading / vane trailing
+];
+
+// What a ball rolling or sliding along a surface sends (instead of retriggering its note)
+const DRYER_SCRAPE_MODES = [
+    { value: 'off',      label: 'Off' },
+    { value: 'poly',     label: 'Poly Aftertouch' },   // on the surface's note
+    { value: 'pressure', label: 'Channel Pressure' },
+    { value: 'cc',       label: 'Control Change' },    // on scrapeCC
 ];
 
 class DryerAudio {
     constructor() {
         this.audioContext = null;
+        this.midiAccess = null;
         this.midiOutput = null;
+        this.midiOutputId = null; // chosen port, remembered so it comes back after an unplug/replug
         this.midiEnabled = false;
+        this.onDevicesChanged = null; // callback when MIDI ports appear/disappear
+        
+        // MIDI clock master state
+        this.clockTimer = null;
+        this.clockBpm = 120;
+        this.nextClockTime = 0;
         this.surfaceToNote = new Map();
-        this.baseNote = 24; // C1 - low base for wider note spread
+        this.rootNote = 0; // C
+        this.octave = 1;   // C1 (MIDI 24) - low base for wider note spread
         this.scaleVector = [3, 4]; // default: Minor 3rds+4ths
+        this.drumMap = null; // GM_DRUM_KIT-style map replaces the scale when set
+        this.surfaceOverrides = new Map(); // surface id -> { note, muted }; a note here is pinned
         this.scatterEnabled = false;
+        this.seed = 1; // scatter shuffle seed, so a shared seed gives the same note layout
+        this.gateTime = 0.1; // seconds between MIDI note-on and note-off
+        this.gateFollowsVelocity = false; // soft hits get shorter gates (down to 25% of gateTime)
+        
+        // MIDI channel routing (0-indexed: 0 = MIDI channel 1)
+        this.channelMode = 'ball';
+        this.midiChannel = 0;
+        this.surfaceChannels = { drum: 0, vane_leading: 1, vane_trailing: 2, ball: 3 };
+        this.scrapeMode = 'off';
+        this.scrapeCC = 74; // brightness
+        this.lastScrapeValues = new Map(); // message key -> last value sent, so unchanged values aren't repeated
+        this.voices = new DryerVoices(); // Web Audio preview voices, per surface type
+        this.mixer = new DryerMixer();   // per-surface gain/pan, drum reverb and limiter
+        this.masterBus = null; // built by the mixer; masterBus.output is what you hear
         this.isInitialized = false;
     }
     
@@ -39,6 +98,8 @@ class DryerAudio {
         
         // Initialize Web Audio
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.masterBus = this.createMasterBus(this.audioContext);
+        this.mixer.bus = this.masterBus;
         
         // Try to initialize Web MIDI
         try {
@@ -54,23 +115,141 @@ class DryerAudio {
     }
     
     setupMIDI(midiAccess) {
-        const outputs = Array.from(midiAccess.outputs.values());
+        this.midiAccess = midiAccess;
+        const outputs = this.getMIDIOutputs();
         if (outputs.length > 0) {
-            this.midiOutput = outputs[0]; // Use first MIDI output
-            this.midiEnabled = true;
-            console.log('MIDI output connected:', this.midiOutput.name);
+            this.setMIDIOutput(outputs[0].id); // Start on the first MIDI output
         }
         
-        // Listen for new MIDI devices
+        // Hot-plug: keep the chosen port if it is still there, never switch ports behind the user's back
         midiAccess.onstatechange = (e) => {
-            if (e.port.type === 'output' && e.port.state === 'connected') {
-                this.midiOutput = e.port;
-                this.midiEnabled = true;
-                console.log('MIDI device connected:', e.port.name);
+            if (e.port.type === 'output' && e.port.id === this.midiOutputId) {
+                if (e.port.state === 'connected') {
+                    this.midiOutput = e.port;
+                    this.midiEnabled = true;
+                    console.log('MIDI output reconnected:', e.port.name);
+                } else {
+                    this.midiOutput = null;
+                    this.midiEnabled = false;
+                    console.log('MIDI output disconnected:', e.port.name);
+                }
             }
+            if (this.onDevicesChanged) this.onDevicesChanged();
         };
     }
     
+    getMIDIInputs() {
+        return this.midiAccess ? Array.from(this.midiAccess.inputs.values()) : [];
+    }
+    
+    getMIDIOutputs() {
+        return this.midiAccess
+            ? Array.from(this.midiAccess.outputs.values()).filter(port => port.state !== 'disconnected')
+            : [];
+    }
+    
+    // id = null (or an unknown id) switches MIDI off and plays through Web Audio only
+    setMIDIOutput(id) {
+        const output = this.getMIDIOutputs().find(port => port.id === id) || null;
+        
+        this.stopClock();
+        this.midiOutputId = output ? output.id : null;
+        this.midiOutput = output;
+        this.midiEnabled = !!output;
+        
+        if (output) {
+            console.log('MIDI output connected:', output.name);
+        }
+    }
+    
+    setChannelMode(mode) {
+        this.channelMode = mode;
+    }
+    
+    setMIDIChannel(channel) {
+        this.midiChannel = channel;
+    }
+    
+    setSurfaceChannel(surfaceType, channel) {
+        this.surfaceChannels[surfaceType] = channel;
+    }
+    
+    setGate(seconds, followsVelocity = this.gateFollowsVelocity) {
+        this.gateTime = seconds;
+        this.gateFollowsVelocity = followsVelocity;
+    }
+    
+    setScrapeOutput(mode, cc = this.scrapeCC) {
+        this.scrapeMode = mode;
+        this.scrapeCC = Math.max(0, Math.min(127, cc));
+        this.lastScrapeValues.clear();
+    }
+    
+    getChannel(surface, ballId) {
+        if (this.channelMode === 'surface') {
+            return this.surfaceChannels[surface.type] || 0;
+        }
+        if (this.channelMode === 'single') {
+            return this.midiChannel;
+        }
+        return (this.midiChannel + ballId) % 16;
+    }
+    
+    getGateTime(velocity) {
+        if (!this.gateFollowsVelocity) return this.gateTime;
+        return this.gateTime * (0.25 + 0.75 * velocity / 127);
+    }
+    
+    // =====================================================================
+    // MIDI CLOCK MASTER - 24 pulses per quarter note sent to the MIDI output
+    // =====================================================================
+    
+    startClock(bpm) {
+        if (!this.midiOutput) return;
+        
+        this.stopClock(false);
+        this.clockBpm = bpm;
+        this.midiOutput.send([0xFA]); // Start
+        this.nextClockTime = window.performance.now();
+        
+        // Lookahead scheduler: a coarse timer queues timestamped pulses slightly ahead,
+        // so timer jitter doesn't reach the clock itself
+        this.scheduleClock();
+        this.clockTimer = setInterval(() => this.scheduleClock(), 25);
+    }
+    
+    setClockTempo(bpm) {
+        this.clockBpm = bpm;
+    }
+    
+    scheduleClock() {
+        if (!this.midiOutput) return;
+        
+        const lookahead = 100; // ms
+        const interval = 60000 / (this.clockBpm * 24);
+        const now = window.performance.now();
+        
+        // Don't try to catch up on pulses lost while the tab was throttled
+        if (this.nextClockTime < now - interval) {
+            this.nextClockTime = now;
+        }
+        
+        while (this.nextClockTime < now + lookahead) {
+            this.midiOutput.send([0xF8], this.nextClockTime);
+            this.nextClockTime += interval;
+        }
+    }
+    
+    stopClock(sendStop = true) {
+        if (this.clockTimer) {
+            clearInterval(this.clockTimer);
+            this.clockTimer = null;
+            if (sendStop && this.midiOutput) {
+                this.midiOutput.send([0xFC]); // Stop
+            }
+        }
+    }
+    
     getMIDIStatus() {
         if (this.midiEnabled && this.midiOutput) {
             return `MIDI: ${this.midiOutput.name}`;
@@ -78,180 +257,288 @@ class DryerAudio {
         return 'MIDI: Web Audio Only';
     }
     
-    setScale(vector) {
+    setScale(vector, drumMap = null) {
         this.scaleVector = vector;
+        this.drumMap = drumMap;
+    }
+    
+    // Lowest generated note; octave uses the C1 = 24 convention
+    get baseNote() {
+        return 12 * (this.octave + 1) + this.rootNote;
+    }
+    
+    // Octave -1 to 7 (the Octave select's range); notes past 127 are folded back down (see foldNote)
+    setTranspose(rootNote, octave) {
+        if (Number.isFinite(rootNote)) this.rootNote = Math.max(0, Math.min(11, Math.round(rootNote)));
+        if (Number.isFinite(octave)) this.octave = Math.max(-1, Math.min(7, Math.round(octave)));
+    }
+    
+    // Move a note by whole octaves into the MIDI range 0-127, keeping its pitch class. Many vanes on a
+    // wide scale from a high octave climb past 127, which MIDIOutput.send rejects.
+    foldNote(note) {
+        while (note > 127) note -= 12;
+        while (note < 0) note += 12;
+        return note;
+    }
+    
+    // note = null unpins the surface so it follows the scale again
+    setSurfaceNote(surfaceId, note) {
+        const override = this.surfaceOverrides.get(surfaceId) || {};
+        override.note = note;
+        this.setSurfaceOverride(surfaceId, override);
+    }
+    
+    setSurfaceMuted(surfaceId, muted) {
+        const override = this.surfaceOverrides.get(surfaceId) || {};
+        override.muted = muted;
+        this.setSurfaceOverride(surfaceId, override);
+    }
+    
+    setSurfaceOverride(surfaceId, override) {
+        if (override.note == null && !override.muted) {
+            this.surfaceOverrides.delete(surfaceId);
+        } else {
+            this.surfaceOverrides.set(surfaceId, override);
+        }
+    }
+    
+    isPinned(surfaceId) {
+        const override = this.surfaceOverrides.get(surfaceId);
+        return !!override && override.note != null;
+    }
+    
+    isMuted(surfaceId) {
+        const override = this.surfaceOverrides.get(surfaceId);
+        return !!override && !!override.muted;
+    }
+    
+    // Note and MIDI routing settings for patches (the scale is stored by the app, the port is not stored)
+    getConfig() {
+        const surfaces = {};
+        this.surfaceOverrides.forEach((override, id) => {
+            surfaces[id] = { ...override };
+        });
+        
+        return {
+            rootNote: this.rootNote,
+            octave: this.octave,
+            scatter: this.scatterEnabled,
+            surfaces: surfaces,
+            channelMode: this.channelMode,
+            midiChannel: this.midiChannel,
+            surfaceChannels: { ...this.surfaceChannels },
+            gate: this.gateTime,
+            gateFollowsVelocity: this.gateFollowsVelocity,
+            scrapeMode: this.scrapeMode,
+            scrapeCC: this.scrapeCC,
+            voices: { ...this.voices.assignments }, // samples are too big for a patch and stay in the browser
+            mixer: this.mixer.getConfig()
+        };
+    }
+    
+    // Apply a (possibly partial) config from getConfig(); call assignNotesToSurfaces afterwards.
+    // Patch values are untrusted: anything out of range or of the wrong type keeps the current setting,
+    // so a bad patch can't make MIDIOutput.send throw mid-animation.
+    applyConfig(config) {
+        const next = { ...this.getConfig(), ...config };
+        const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isOption = (options, value) => options.some(option => option.value === value);
+        
+        this.setTranspose(next.rootNote, next.octave);
+        this.setScatter(!!next.scatter);
+        if (isOption(MIDI_CHANNEL_MODES, next.channelMode)) this.setChannelMode(next.channelMode);
+        this.setMIDIChannel(this.clampInteger(next.midiChannel, 0, 15, this.midiChannel));
+        if (isObject(next.surfaceChannels)) {
+            Object.keys(this.surfaceChannels).forEach(type => {
+                this.surfaceChannels[type] = this.clampInteger(next.surfaceChannels[type], 0, 15, this.surfaceChannels[type]);
+            });
+        }
+        const gate = Number.isFinite(next.gate) ? Math.max(0.005, Math.min(5, next.gate)) : this.gateTime;
+        this.setGate(gate, !!next.gateFollowsVelocity);
+        this.setScrapeOutput(
+            isOption(DRYER_SCRAPE_MODES, next.scrapeMode) ? next.scrapeMode : this.scrapeMode,
+            this.clampInteger(next.scrapeCC, 0, 127, this.scrapeCC)
+        );
+        if (isObject(next.voices)) {
+            Object.keys(this.voices.assignments).forEach(type => {
+                if (isOption(DRYER_VOICES, next.voices[type])) this.voices.setVoice(type, next.voices[type]);
+            });
+        }
+        this.mixer.applyConfig(isObject(next.mixer) ? next.mixer : {});
+        
+        if (isObject(next.surfaces)) {
+            this.surfaceOverrides.clear();
+            Object.keys(next.surfaces).forEach(id => {
+                const override = isObject(next.surfaces[id]) ? next.surfaces[id] : {};
+                this.setSurfaceOverride(id, {
+                    note: override.note == null ? null : this.clampInteger(override.note, 0, 127, null),
+                    muted: !!override.muted
+                });
+            });
+        }
+    }
+    
+    // Whole number in min-max, or the fallback for anything that isn't a number
+    clampInteger(value, min, max, fallback) {
+        return Number.isFinite(value) ? Math.max(min, Math.min(max, Math.round(value))) : fallback;
+    }
+    
+    getNoteName(note) {
+        if (this.drumMap && GM_DRUM_NAMES[note]) {
+            return GM_DRUM_NAMES[note];
+        }
+        return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
     }
 
     setScatter(enabled) {
         this.scatterEnabled = enabled;
     }
 
+    setSeed(seed) {
+        this.seed = seed;
+    }
+
     assignNotesToSurfaces(surfaces) {
         this.surfaceToNote.clear();
 
-        // Build the sequential note list from the scale vector
+        // Build the sequential note list from the scale vector, or look each surface up in the drum map
         const notes = [];
         let noteNumber = this.baseNote;
         surfaces.forEach((surface, index) => {
-            notes.push(noteNumber);
+            if (this.drumMap) {
+                const kit = this.drumMap[surface.type] || [];
+                notes.push(kit[surface.index % kit.length] || this.baseNote);
+                return;
+            }
+            notes.push(this.foldNote(noteNumber));
             noteNumber += this.scaleVector[index % this.scaleVector.length];
         });
 
         // Scatter: Fisher-Yates shuffle redistributes notes randomly across surfaces.
         // The same set of pitches is used — only which surface plays which note changes.
+        // Seeded, so the same seed always scatters the same way.
         if (this.scatterEnabled) {
+            const random = new DryerRandom(this.seed);
             for (let i = notes.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
+                const j = Math.floor(random.next() * (i + 1));
                 [notes[i], notes[j]] = [notes[j], notes[i]];
             }
         }
 
-        surfaces.forEach((surface, index) => {
-            this.surfaceToNote.set(surface.id, notes[index]);
+        // Ball-on-ball hits (surface id 'ball') take the next note of the scale - added after the
+        // scatter, so they don't move the other surfaces' notes
+        const ballNotes = this.drumMap ? this.drumMap.ball || [] : [this.foldNote(noteNumber)];
+        notes.push(ballNotes[0] || this.baseNote);
+
+        // Pinned surfaces keep their note through scale, transpose and scatter changes
+        [...surfaces, { id: 'ball' }].forEach((surface, index) => {
+            const note = this.isPinned(surface.id) ? this.surfaceOverrides.get(surface.id).note : notes[index];
+            this.surfaceToNote.set(surface.id, this.foldNote(Math.round(note) || 0));
         });
     }
     
-    onCollision(surface, velocity) {
-        if (!this.isInitialized) return;
+    // Resolve a collision into the note it plays: { note, velocity, channel, duration, ballId, pan }
+    getNoteEvent(surface, velocity, hit) {
+        const ballId = hit ? hit.ballId : 0;
+        const midiVelocity = Math.min(127, Math.floor(velocity * 300)); // Scale collision velocity to MIDI velocity
+        return {
+            note: this.surfaceToNote.has(surface.id) ? this.surfaceToNote.get(surface.id) : this.baseNote,
+            velocity: midiVelocity,
+            channel: this.getChannel(surface, ballId),
+            duration: this.getGateTime(midiVelocity),
+            ballId: ballId,
+            pan: this.mixer.getPan(surface.type, hit ? hit.angle : undefined)
+        };
+    }
+    
+    // delay (seconds) schedules the note ahead of now, e.g. to land it on the quantize grid
+    // Returns null for muted surfaces, which stay silent and are left out of recordings
+    onCollision(surface, velocity, hit, delay = 0) {
+        if (this.isMuted(surface.id)) return null;
         
-        const noteNumber = this.surfaceToNote.get(surface.id) || this.baseNote;
-        const velocityMIDI = Math.min(127, Math.floor(velocity * 300)); // Scale collision velocity to MIDI velocity
+        const noteEvent = this.getNoteEvent(surface, velocity, hit);
+        if (!this.isInitialized) return noteEvent;
         
         // Send MIDI if available
         if (this.midiEnabled && this.midiOutput) {
-            this.sendMIDINote(noteNumber, velocityMIDI);
+            this.sendMIDINote(noteEvent.note, noteEvent.velocity, noteEvent.channel, delay, noteEvent.duration);
         }
         
         // Always play through Web Audio for preview
-        this.playWebAudioNote(noteNumber, velocityMIDI, surface.color);
+        this.playWebAudioNote(noteEvent.note, noteEvent.velocity, surface.type, noteEvent.ballId, delay, noteEvent.pan);
+        
+        return noteEvent;
     }
     
-    sendMIDINote(noteNumber, velocity) {
+    sendMIDINote(noteNumber, velocity, channel = 0, delay = 0, duration = this.gateTime) {
         if (!this.midiOutput) return;
         
-        const channel = 0; // MIDI channel 1 (0-indexed)
+        // channel is 0-indexed: 0 = MIDI channel 1
         const noteOn = [0x90 + channel, noteNumber, velocity];
         const noteOff = [0x80 + channel, noteNumber, 0];
         
-        this.midiOutput.send(noteOn);
+        // Timestamps are in performance.now() milliseconds; the browser holds the message until then
+        const onTime = window.performance.now() + delay * 1000;
+        this.midiOutput.send(noteOn, onTime);
         
-        // Send note off after 100ms
-        this.midiOutput.send(noteOff, window.performance.now() + 100);
+        // Send note off after the gate time
+        this.midiOutput.send(noteOff, onTime + duration * 1000);
     }
     
-    playWebAudioNote(noteNumber, velocity, color) {
-        if (!this.audioContext) return;
-        
-        const now = this.audioContext.currentTime;
-        const frequency = this.midiNoteToFrequency(noteNumber);
-        const amplitude = velocity / 127 * 0.3; // Scale to reasonable volume
-        
-        // Create a percussive FM synthesis sound (like a drum hit)
-        const duration = 0.15 + (velocity / 127) * 0.2;
-        
-        // Carrier oscillator
-        const carrier = this.audioContext.createOscillator();
-        carrier.frequency.setValueAtTime(frequency, now);
-        carrier.type = 'sine';
-        
-        // Modulator for FM synthesis (gives it more body)
-        const modulator = this.audioContext.createOscillator();
-        modulator.frequency.setValueAtTime(frequency * 2, now);
-        
-        const modulationGain = this.audioContext.createGain();
-        modulationGain.gain.setValueAtTime(frequency * 0.5, now);
-        modulationGain.gain.exponentialRampToValueAtTime(0.01, now + duration * 0.3);
-        
-        modulator.connect(modulationGain);
-        modulationGain.connect(carrier.frequency);
+    // A ball rolling/sliding along a surface at speed m/s (0 = it left the surface).
+    // Sent as a continuous controller, so resting contact doesn't machine-gun the note.
+    onScrape(surface, speed, hit) {
+        if (this.scrapeMode === 'off' || !this.midiEnabled || !this.midiOutput) return;
+        if (this.isMuted(surface.id)) return;
         
-        // Amplitude envelope
-        const gainNode = this.audioContext.createGain();
-        gainNode.gain.setValueAtTime(amplitude, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + duration);
+        const channel = this.getChannel(surface, hit ? hit.ballId : 0);
+        const note = this.surfaceToNote.has(surface.id) ? this.surfaceToNote.get(surface.id) : this.baseNote;
+        const value = Math.min(127, Math.round(speed * 100)); // 1.27 m/s and faster = full scale
         
-        // Add some noise for texture
-        const noise = this.audioContext.createBufferSource();
-        const noiseBuffer = this.createNoiseBuffer(duration);
-        noise.buffer = noiseBuffer;
-        
-        const noiseGain = this.audioContext.createGain();
-        noiseGain.gain.setValueAtTime(amplitude * 0.2, now);
-        noiseGain.gain.exponentialRampToValueAtTime(0.001, now + duration * 0.3);
-        
-        const noiseFilter = this.audioContext.createBiquadFilter();
-        noiseFilter.type = 'highpass';
-        noiseFilter.frequency.setValueAtTime(frequency * 2, now);
-        
-        noise.connect(noiseFilter);
-        noiseFilter.connect(noiseGain);
-        noiseGain.connect(this.audioContext.destination);
-        
-        // Connect carrier to output
-        carrier.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Start and stop
-        carrier.start(now);
-        modulator.start(now);
-        noise.start(now);
+        let message;
+        if (this.scrapeMode === 'poly') {
+            message = [0xA0 + channel, note, value];
+        } else if (this.scrapeMode === 'pressure') {
+            message = [0xD0 + channel, value];
+        } else {
+            message = [0xB0 + channel, this.scrapeCC, value];
+        }
         
-        carrier.stop(now + duration);
-        modulator.stop(now + duration);
-        noise.stop(now + duration);
+        const key = message.slice(0, -1).join(':');
+        if (this.lastScrapeValues.get(key) === value) return;
+        this.lastScrapeValues.set(key, value);
+        this.midiOutput.send(message);
     }
     
-    createNoiseBuffer(duration) {
-        const bufferSize = this.audioContext.sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const output = buffer.getChannelData(0);
-        
-        for (let i = 0; i < bufferSize; i++) {
-            output[i] = Math.random() * 2 - 1;
-        }
+    playWebAudioNote(noteNumber, velocity, surfaceType = 'drum', ballId = 0, delay = 0, pan) {
+        if (!this.audioContext) return;
         
-        return buffer;
+        this.renderNote(this.audioContext, this.masterBus, this.audioContext.currentTime + delay,
+            { note: noteNumber, velocity: velocity, ballId: ballId, pan: pan }, surfaceType);
+    }
+    
+    // Play a note event on any context/bus - shared by live playback and the offline bounce
+    renderNote(ctx, bus, when, noteEvent, surfaceType) {
+        const pan = noteEvent.pan !== undefined ? noteEvent.pan : this.mixer.getPan(surfaceType);
+        const destination = this.mixer.createNoteInput(bus, surfaceType, when, pan);
+        this.voices.play(ctx, destination, when, {
+            frequency: this.midiNoteToFrequency(noteEvent.note),
+            velocity: noteEvent.velocity,
+            ballId: noteEvent.ballId,
+            surfaceType: surfaceType,
+            // Samples play at their own pitch on the root note (and always in drum-map mode)
+            semitones: this.drumMap ? 0 : noteEvent.note - this.baseNote
+        });
+    }
+    
+    // Output stage between the voices and the speakers. Built the same way for the
+    // live AudioContext and for OfflineAudioContext bounces, so both sound identical.
+    createMasterBus(ctx) {
+        return this.mixer.createBus(ctx);
     }
     
     midiNoteToFrequency(noteNumber) {
         // MIDI note to frequency: f = 440 * 2^((n-69)/12)
         return 440 * Math.pow(2, (noteNumber - 69) / 12);
     }
-    
-    async toggleMIDIOutput() {
-        if (!navigator.requestMIDIAccess) {
-            alert('Web MIDI API not supported in this browser');
-            return false;
-        }
-        
-        try {
-            const midiAccess = await navigator.requestMIDIAccess();
-            const outputs = Array.from(midiAccess.outputs.values());
-            
-            if (outputs.length === 0) {
-                alert('No MIDI outputs detected. Please connect a MIDI device or virtual MIDI port.');
-                return false;
-            }
-            
-            // Show selection dialog if multiple outputs
-            if (outputs.length > 1) {
-                const selection = prompt(
-                    'Select MIDI output:\n' + 
-                    outputs.map((o, i) => `${i}: ${o.name}`).join('\n')
-                );
-                const index = parseInt(selection);
-                if (index >= 0 && index < outputs.length) {
-                    this.midiOutput = outputs[index];
-                }
-            } else {
-                this.midiOutput = outputs[0];
-            }
-            
-            this.midiEnabled = true;
-            return true;
-        } catch (e) {
-            console.error('MIDI access error:', e);
-            return false;
-        }
-    }
 }
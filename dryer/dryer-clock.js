@@ -0,0 +1,116 @@
+/**
+ * Dryer MIDI Clock
+ * Listens to a MIDI input for clock (0xF8), Start/Stop/Continue and Song Position,
+ * estimates the incoming tempo and reports transport changes through callbacks.
+ */
+
+// Drum RPM lock options: revolutions per beat, so rpm = bpm × value
+const DRYER_RPM_LOCKS = [
+    { label: 'Off',             value: 0 },
+    { label: '1 rev / 4 bars',  value: 1 / 16 },
+    { label: '1 rev / 2 bars',  value: 1 / 8 },
+    { label: '1 rev / bar',     value: 1 / 4 },
+];
+
+const MIDI_CLOCK = 0xF8;
+const MIDI_START = 0xFA;
+const MIDI_CONTINUE = 0xFB;
+const MIDI_STOP = 0xFC;
+const MIDI_SONG_POSITION = 0xF2;
+const MIDI_CLOCKS_PER_BEAT = 24;
+
+class DryerClock {
+    constructor() {
+        this.input = null;
+        this.bpm = null;            // estimated incoming tempo, null until clock arrives
+        this.tickTimes = [];        // timestamps (ms) of the most recent clock ticks
+        this.ticksSinceReport = 0;
+        this.songPosition = 0;      // MIDI beats (sixteenth notes) since song start
+
+        // Callbacks (set by DryerApp)
+        this.onStart = null;
+        this.onStop = null;
+        this.onContinue = null;
+        this.onTempo = null;
+        this.onSongPosition = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    listen(input) {
+        if (this.input) {
+            this.input.removeEventListener('midimessage', this.handleMessage);
+        }
+
+        this.input = input;
+        this.bpm = null;
+        this.tickTimes = [];
+
+        if (input) {
+            input.addEventListener('midimessage', this.handleMessage);
+            console.log('⏱️ Listening for MIDI clock on:', input.name);
+        }
+    }
+
+    handleMessage(event) {
+        const status = event.data[0];
+
+        switch (status) {
+            case MIDI_CLOCK:
+                this.handleClockTick(event.timeStamp);
+                break;
+            case MIDI_START:
+                this.songPosition = 0;
+                this.resetTicks();
+                if (this.onStart) this.onStart();
+                break;
+            case MIDI_CONTINUE:
+                if (this.onContinue) this.onContinue();
+                break;
+            case MIDI_STOP:
+                this.resetTicks();
+                if (this.onStop) this.onStop();
+                break;
+            case MIDI_SONG_POSITION:
+                // 14-bit value, LSB first, counted in MIDI beats (sixteenth notes)
+                this.songPosition = event.data[1] | (event.data[2] << 7);
+                if (this.onSongPosition) this.onSongPosition(this.songPosition);
+                break;
+        }
+    }
+
+    // Ticks from before a Start or Stop would drag the next tempo estimate toward the old tempo
+    // (or stretch it across the pause), so it starts over from the new ticks. The last bpm stays until then.
+    resetTicks() {
+        this.tickTimes = [];
+        this.ticksSinceReport = 0;
+    }
+
+    handleClockTick(timeStamp) {
+        this.tickTimes.push(timeStamp);
+        if (this.tickTimes.length > MIDI_CLOCKS_PER_BEAT + 1) {
+            this.tickTimes.shift();
+        }
+
+        // Average over the last beat of ticks to smooth out USB/driver jitter
+        if (this.tickTimes.length > MIDI_CLOCKS_PER_BEAT / 2) {
+            const span = this.tickTimes[this.tickTimes.length - 1] - this.tickTimes[0];
+            const tickInterval = span / (this.tickTimes.length - 1);
+            if (tickInterval > 0) {
+                this.bpm = 60000 / (tickInterval * MIDI_CLOCKS_PER_BEAT);
+            }
+        }
+
+        // Report tempo once per beat rather than on every tick
+        this.ticksSinceReport++;
+        if (this.ticksSinceReport >= MIDI_CLOCKS_PER_BEAT && this.bpm) {
+            this.ticksSinceReport = 0;
+            if (this.onTempo) this.onTempo(this.bpm);
+        }
+    }
+
+    // Song position in seconds at the given tempo
+    songPositionToSeconds(position, bpm) {
+        return position * 60 / (bpm * 4);
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * Dryer Debug Console
+ * Browser-only console shortcuts for poking at the physics engine
+ * (kept out of dryer-physics.js so the physics can run headless in Node)
+ */
+
+// ===================================================================
+// GLOBAL CONSOLE SHORTCUTS - For easy debugging
+// ===================================================================
+// These will be available in browser console as window.dryerDebug
+
+window.dryerDebug = {
+    help: function() {
+        console.log(`
+╔══════════════════════════════════════════════════════════════════╗
+║                   DRYER PHYSICS DEBUG CONSOLE                    ║
+╚══════════════════════════════════════════════════════════════════╝
+
+QUICK COMMANDS (copy/paste into console):
+─────────────────────────────────────────────────────────────────────
+
+Most of these are also on the page, in the Lab panel.
+
+📊 SHOW CURRENT STATE:
+   dryerDebug.show()
+
+🔄 TOGGLE INDIVIDUAL FORCES:
+   dryerDebug.coriolis()        - Toggle Coriolis force
+   dryerDebug.centrifugal()     - Toggle centrifugal force  
+   dryerDebug.drag()            - Toggle air drag (vane-coupled)
+   dryerDebug.friction()        - Toggle ball spin + wall friction
+   dryerDebug.euler()           - Toggle Euler force (drum speed changes)
+   dryerDebug.flipCoriolis()    - Flip Coriolis sign (+/-)
+
+🎯 QUICK PRESETS:
+   dryerDebug.original()        - Original physics (baseline)
+   dryerDebug.enhanced()        - Enhanced physics (all features)
+   dryerDebug.gravityOnly()     - Only gravity (debug mode)
+
+🎈 BALL TYPES:
+   dryerDebug.tennis()          - Tennis ball (default)
+   dryerDebug.sandbag()         - Sandbag (10cm, 500g, low bounce)
+   dryerDebug.balloon()         - Balloon (15cm, 1g, buoyant)
+   dryerDebug.baseball()        - Baseball (heavier)
+   dryerDebug.pingPong()        - Ping pong ball (very light)
+   dryerDebug.addBall('sandbag') - Add another ball to the drum
+   dryerDebug.removeBall()      - Remove the newest ball
+
+🌙 NEW FEATURES:
+   dryerDebug.moon()            - Toggle moon gravity (1/6th Earth)
+   dryerDebug.lintTrap()        - Toggle velocity filter
+
+⚙️ ENGINE:
+   dryerDebug.profile()         - Step timing since the last load readout
+
+🧪 ISOLATE FORCES (test one at a time):
+   dryerDebug.testCoriolis()    - ONLY Coriolis + Gravity
+   dryerDebug.testCentrifugal() - ONLY Centrifugal + Gravity
+
+📝 EXAMPLES:
+   dryerDebug.show()            // See what's currently enabled
+   dryerDebug.sandbag()         // Switch to sandbag
+   dryerDebug.moon()            // Enable moon gravity
+   dryerDebug.lintTrap()        // Filter low-velocity hits
+   
+─────────────────────────────────────────────────────────────────────
+        `);
+    },
+    
+    // Access physics engine
+    get physics() {
+        return window.dryerApp?.physics;
+    },
+    
+    // Show state
+    show: function() {
+        return this.physics?.showPhysicsState();
+    },
+    
+    // Toggle individual forces
+    coriolis: function() {
+        return this.physics?.toggleCoriolis();
+    },
+    
+    centrifugal: function() {
+        return this.physics?.toggleCentrifugal();
+    },
+    
+    drag: function() {
+        return this.physics?.toggleDrag();
+    },
+    
+    friction: function() {
+        return this.physics?.toggleFriction();
+    },
+    
+    euler: function() {
+        return this.physics?.toggleEuler();
+    },
+    
+    flipCoriolis: function() {
+        return this.physics?.flipCoriolisSign();
+    },
+    
+    profile: function() {
+        const profile = this.physics?.getProfile();
+        if (profile) console.table(profile);
+        return profile;
+    },
+    
+    // Presets
+    original: function() {
+        this.physics?.originalPhysics();
+    },
+    
+    enhanced: function() {
+        this.physics?.enhancedPhysics();
+    },
+    
+    gravityOnly: function() {
+        this.physics?.onlyGravity();
+    },
+    
+    // Test modes - isolate individual forces
+    testCoriolis: function() {
+        this.physics.enableCoriolis = true;
+        this.physics.enableCentrifugal = false;
+        this.physics.enableAirDrag = false;
+        console.log('🧪 TEST MODE: Only Coriolis + Gravity');
+        this.show();
+    },
+    
+    testCentrifugal: function() {
+        this.physics.enableCoriolis = false;
+        this.physics.enableCentrifugal = true;
+        this.physics.enableAirDrag = false;
+        console.log('🧪 TEST MODE: Only Centrifugal + Gravity');
+        this.show();
+    },
+    
+    // Ball property adjustments
+    setBall: function(radius, mass) {
+        if (radius) this.physics.ball.radius = radius;
+        if (mass) this.physics.ball.mass = mass;
+        console.log(`⚽ Ball updated: ${(this.physics.ball.radius*100).toFixed(1)}cm, ${(this.physics.ball.mass*1000).toFixed(1)}g`);
+    },
+    
+    // Presets for different ball types
+    tennisBall: function() {
+        this.setBall(0.035, 0.058);
+        this.physics.ball.dragCoeff = 0.55;
+        console.log('🎾 Tennis ball');
+    },
+    
+    baseball: function() {
+        this.setBall(0.037, 0.145);
+        this.physics.ball.dragCoeff = 0.47;
+        console.log('⚾ Baseball');
+    },
+    
+    pingPong: function() {
+        this.setBall(0.020, 0.0027);
+        this.physics.ball.dragCoeff = 0.47;
+        console.log('🏓 Ping pong ball');
+    },
+    
+    sandbag: function() {
+        this.physics.setSandbagBall();
+    },
+
+    balloon: function() {
+        this.physics.setBalloonBall();
+    },
+
+    tennis: function() {
+        this.physics.setTennisBall();
+    },
+    
+    // Multi-ball
+    addBall: function(type) {
+        const ball = this.physics.addBall(type || 'tennis');
+        if (!ball) {
+            console.log(`⚠️ The drum is full (${DRYER_MAX_BALLS} balls)`);
+            return null;
+        }
+        console.log(`➕ Ball ${ball.id} added (${ball.type}) - ${this.physics.balls.length} in drum`);
+        return ball;
+    },
+    
+    removeBall: function() {
+        this.physics.removeBall();
+        console.log(`➖ ${this.physics.balls.length} ball(s) in drum`);
+        return this.physics.balls.length;
+    },
+    
+    // Feature toggles
+    lintTrap: function(enabled) {
+        if (enabled === undefined) {
+            this.physics.lintTrapEnabled = !this.physics.lintTrapEnabled;
+        } else {
+            this.physics.lintTrapEnabled = enabled;
+        }
+        console.log(`🧺 Lint trap: ${this.physics.lintTrapEnabled ? 'ON' : 'OFF'} (threshold: ${this.physics.lintTrapThreshold} m/s)`);
+        return this.physics.lintTrapEnabled;
+    },
+    
+    moon: function(enabled) {
+        if (enabled === undefined) {
+            this.physics.moonGravityEnabled = !this.physics.moonGravityEnabled;
+        } else {
+            this.physics.moonGravityEnabled = enabled;
+        }
+        this.physics.gravity = this.physics.moonGravityEnabled ? this.physics.moonGravity : this.physics.earthGravity;
+        console.log(`🌙 Moon gravity: ${this.physics.moonGravityEnabled ? 'ON (1.635 m/s²)' : 'OFF (9.81 m/s²)'}`);
+        return this.physics.moonGravityEnabled;
+    },
+    
+    // Debug collision highlighting
+    debugCollisions: function() {
+        this.physics.logCollisions = !this.physics.logCollisions;
+        console.log(`🔍 Collision logging: ${this.physics.logCollisions ? 'ON' : 'OFF'}`);
+        if (this.physics.logCollisions) {
+            console.log('Watch for: 🎯 messages showing segment calculations');
+        }
+        return this.physics.logCollisions;
+    },
+    
+    // Show where ball currently is
+    whereBall: function() {
+        const p = this.physics;
+        const ballAngle = Math.atan2(p.ball.y, p.ball.x);
+        const angleDeg = (ballAngle * 180 / Math.PI).toFixed(1);
+        const normalizedAngle = ballAngle < 0 ? ballAngle + 2*Math.PI : ballAngle;
+        const normalizedDeg = (normalizedAngle * 180 / Math.PI).toFixed(1);
+        const segmentIndex = p.getDrumSegmentIndex(normalizedAngle);
+        const drumAngleDeg = (p.drumAngle * 180 / Math.PI).toFixed(1);
+        const worldAngleDeg = ((normalizedAngle + p.drumAngle) * 180 / Math.PI).toFixed(1);
+        
+        console.log('=== BALL POSITION ===');
+        console.log(`Rotating frame: ${normalizedDeg}° (segment ${segmentIndex})`);
+        console.log(`World frame: ${worldAngleDeg}° (drum rotated ${drumAngleDeg}°)`);
+        console.log(`Ball coords: (${p.ball.x.toFixed(3)}, ${p.ball.y.toFixed(3)})`);
+        console.log(`Distance from center: ${Math.sqrt(p.ball.x**2 + p.ball.y**2).toFixed(3)}m`);
+        console.log(`Drum radius: ${p.drumRadius}m`);
+        console.log('====================');
+        
+        // Show which segment SHOULD be highlighted
+        const surface = p.surfaces.find(s => s.type === 'drum' && s.index === segmentIndex);
+        if (surface) {
+            console.log(`Should highlight: ${surface.id}`);
+        }
+    },
+    
+    // Adjust segment offset to fix visual mismatch
+    fixSegmentOffset: function(offset) {
+        if (offset === undefined) {
+            console.log(`Current segment offset: ${this.physics.segmentIndexOffset}`);
+            console.log('Usage: dryerDebug.fixSegmentOffset(+1) or dryerDebug.fixSegmentOffset(-1)');
+            console.log('Try adjusting by ±1 until visual matches collision');
+            return this.physics.segmentIndexOffset;
+        }
+        this.physics.segmentIndexOffset = offset;
+        console.log(`✅ Segment offset set to: ${offset}`);
+        console.log('Watch collisions to see if this fixes the visual mismatch');
+        return offset;
+    }
+};
+
+// Show help on load
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  🔬 Dryer Physics Debug Console Loaded!                   ║');
+console.log('║  Type: dryerDebug.help()  for available commands         ║');
+console.log('╚════════════════════════════════════════════════════════════╝');
@@ -0,0 +1,20 @@
+/**
+ * Dryer Download
+ * Saves generated data (MIDI files, WAV takes, patches, MIDI maps) as a file download.
+ * Loaded before the modules that use it.
+ */
+
+// data: anything a Blob takes (string, ArrayBuffer, typed array); type: MIME type
+function downloadFile(data, type, filename) {
+    const blob = new Blob([data], { type: type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
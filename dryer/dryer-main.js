@@ -8,9 +8,26 @@ class DryerApp {
         this.physics = new DryerPhysics();
         this.audio = new DryerAudio();
         this.ui = new DryerUI();
+        this.analytics = new DryerAnalytics();
+        this.recorder = new DryerMidiRecorder();
+        this.clock = new DryerClock();
+        this.quantizer = new DryerQuantizer();
+        this.patches = new DryerPatchLibrary();
+        this.midiLearn = new DryerMidiLearn();
+        this.modulation = new DryerModulation();
+        this.modulatedParams = null; // last parameters sent to physics by the modulation
+        this.wavRecorder = new DryerWavRecorder();
+        this.lastLoadUpdate = 0; // performance.now() of the last voice load meter update
+        this.scaleIndex = 0; // index into DRYER_SCALES
+        
+        // Tempo sync: 'internal' (free-running), 'master' (send clock) or 'input:<port id>' (follow clock)
+        this.syncMode = 'internal';
+        this.tempo = 120; // BPM used when not following an external clock
+        this.rpmLock = 0; // revolutions per beat (0 = RPM knob is free-running)
         
         this.isRunning = false;
         this.animationFrameId = null;
+        this.catchUpFrameId = null; // replaying a Song Position jump while stopped (see initSyncControls)
         this.lastTime = 0;
         
         this.init();
@@ -19,7 +36,7 @@ class DryerApp {
     async init() {
         // Connect UI parameter changes to physics
         this.ui.onParameterChange = () => {
-            const params = this.ui.getParameters();
+            const params = this.getEffectiveParameters();
             this.physics.setParameters(
                 params.rpm,
                 params.drumSize,
@@ -28,25 +45,72 @@ class DryerApp {
             );
             
             // Update MIDI note assignments when surfaces change
-            this.audio.assignNotesToSurfaces(this.physics.surfaces);
+            this.assignNotes();
+            
+            // The reverb follows the drum size (knob changes only - not every modulation step)
+            this.audio.mixer.setRoomSize(this.physics.drumRadius);
+        };
+        
+        // Modulation runs inside the fixed-step loop so it stays deterministic
+        this.physics.onBeforeStep = (time) => {
+            const params = this.applyModulation(time);
+            if (params) this.modulatedParams = params;
         };
         
         // Connect physics collisions to audio and visual feedback
-        this.physics.onCollision((surface, velocity) => {
-            this.audio.onCollision(surface, velocity);
+        this.physics.onCollision((surface, velocity, hit) => {
+            // Notes are scheduled from the end of the physics batch (see DryerQuantizer.getDelay).
+            // The quantizer delay is 0 when off; the recording keeps the quantized time.
+            const now = this.physics.batchEndTime;
+            const delay = this.quantizer.getDelay(hit.time, now);
+            const time = this.quantizer.enabled ? now + delay : hit.time;
+            const noteEvent = this.audio.onCollision(surface, velocity, hit, delay);
+            if (noteEvent) {
+                this.recorder.record({ ...noteEvent, time: time, surfaceType: surface.type });
+                this.analytics.record(surface.id, noteEvent.velocity, time, noteEvent.ballId);
+            }
             this.ui.highlightCollision(surface.id);
         });
         
+        // Rolling/sliding contact becomes continuous MIDI (aftertouch/CC) rather than new notes
+        this.physics.onScrape((surface, speed, hit) => this.audio.onScrape(surface, speed, hit));
+        
+        // A resized canvas is blank until redrawn - the animation loop does that while running
+        this.ui.onResize = () => {
+            if (!this.isRunning) this.ui.render(this.physics);
+        };
+        
         // Set up transport buttons
         document.getElementById('startBtn').addEventListener('click', () => this.start());
         document.getElementById('stopBtn').addEventListener('click', () => this.stop());
+        this.initRecorderControls();
+        this.initAudioExportControls();
+        this.initSyncControls();
+        this.initQuantizeControls();
+        this.initMIDIOutputControls();
+        this.initNoteControls();
+        this.initMidiLearnControls();
+        this.initModulationControls();
+        this.initVoiceControls();
+        this.initMixerControls();
+        this.initGeometryControls();
+        this.initSpeedControls();
+        this.initEngineControls();
+        this.initOverlayControls();
+        this.initPerformanceControls();
+        this.initLabControls();
         
         // Set up new feature controls
         const scaleSelect = document.getElementById('scaleSelect');
         const ballTypeSelect = document.getElementById('ballTypeSelect');
+        const addBallBtn = document.getElementById('addBallBtn');
+        const removeBallBtn = document.getElementById('removeBallBtn');
         const lintTrapToggle = document.getElementById('lintTrapToggle');
         const moonGravityToggle = document.getElementById('moonGravityToggle');
+        const frictionToggle = document.getElementById('frictionToggle');
         const scatterToggle = document.getElementById('scatterToggle');
+        const seedInput = document.getElementById('seedInput');
+        const randomSeedBtn = document.getElementById('randomSeedBtn');
 
         // Populate scale dropdown from DRYER_SCALES (defined in dryer-audio.js)
         if (scaleSelect) {
@@ -59,21 +123,25 @@ class DryerApp {
             });
 
             scaleSelect.addEventListener('change', (e) => {
-                const scale = DRYER_SCALES[parseInt(e.target.value)];
-                this.audio.setScale(scale.vector);
-                this.audio.assignNotesToSurfaces(this.physics.surfaces);
+                this.scaleIndex = parseInt(e.target.value);
+                const scale = DRYER_SCALES[this.scaleIndex];
+                this.audio.setScale(scale.vector, scale.drumMap);
+                this.assignNotes();
             });
         }
         
         if (ballTypeSelect) {
+            // The ball type dropdown edits the newest ball, so mixed drums are built with "+" then pick a type
             ballTypeSelect.addEventListener('change', (e) => {
+                const index = this.physics.balls.length - 1;
                 if (e.target.value === 'tennis') {
-                    this.physics.setTennisBall();
+                    this.physics.setTennisBall(index);
                 } else if (e.target.value === 'sandbag') {
-                    this.physics.setSandbagBall();
+                    this.physics.setSandbagBall(index);
                 } else if (e.target.value === 'balloon') {
-                    this.physics.setBalloonBall();
+                    this.physics.setBalloonBall(index);
                 }
+                this.updateBallList();
                 // Reset ball position when changing type
                 if (!this.isRunning) {
                     this.physics.reset();
@@ -82,6 +150,21 @@ class DryerApp {
             });
         }
         
+        if (addBallBtn) {
+            addBallBtn.addEventListener('click', () => {
+                this.physics.addBall(ballTypeSelect ? ballTypeSelect.value : 'tennis');
+                this.onBallsChanged();
+            });
+        }
+        
+        if (removeBallBtn) {
+            removeBallBtn.addEventListener('click', () => {
+                this.physics.removeBall();
+                if (ballTypeSelect) ballTypeSelect.value = this.physics.balls[this.physics.balls.length - 1].type;
+                this.onBallsChanged();
+            });
+        }
+        
         if (lintTrapToggle) {
             lintTrapToggle.addEventListener('change', (e) => {
                 this.physics.setLintTrap(e.target.checked);
@@ -93,37 +176,72 @@ class DryerApp {
                 this.physics.setMoonGravity(e.target.checked);
             });
         }
+        
+        if (frictionToggle) {
+            frictionToggle.addEventListener('change', (e) => {
+                this.physics.toggleFriction(e.target.checked);
+            });
+        }
 
         if (scatterToggle) {
             scatterToggle.addEventListener('change', (e) => {
                 this.audio.setScatter(e.target.checked);
-                this.audio.assignNotesToSurfaces(this.physics.surfaces);
+                this.assignNotes();
+            });
+        }
+
+        if (seedInput) {
+            seedInput.value = this.physics.seed;
+            seedInput.addEventListener('change', (e) => {
+                this.setSeed(parseInt(e.target.value) || 0);
             });
         }
 
-        // MIDI status click to enable MIDI output
+        if (randomSeedBtn) {
+            randomSeedBtn.addEventListener('click', () => {
+                // Picking a new seed is the one place true randomness is wanted
+                const seed = Math.floor(Math.random() * 100000);
+                if (seedInput) seedInput.value = seed;
+                this.setSeed(seed);
+            });
+        }
+
+        // MIDI status click asks for MIDI access so the port list can be filled
         document.getElementById('midiStatus').addEventListener('click', async () => {
             if (!this.audio.isInitialized) {
                 await this.audio.initialize();
             }
-            const success = await this.audio.toggleMIDIOutput();
-            this.updateMIDIStatus();
+            this.onMIDIDevicesChanged();
         });
         
         // Initialize audio on first user interaction
         document.addEventListener('click', async () => {
             if (!this.audio.isInitialized) {
                 await this.audio.initialize();
-                this.audio.assignNotesToSurfaces(this.physics.surfaces);
-                this.updateMIDIStatus();
+                this.assignNotes();
+                this.onMIDIDevicesChanged();
             }
         }, { once: true });
         
         // Initial render
+        this.updateBallList();
         this.ui.render(this.physics);
+        this.renderAnalytics();
         
         // Set initial parameters
         this.ui.onParameterChange();
+        
+        // Factory presets are stored as differences from this startup state
+        this.defaultPatch = this.getPatch();
+        this.initPatchControls();
+        
+        // A shared link restores its patch on load (and when pasted into an open tab)
+        const sharedPatch = this.patches.readHash();
+        if (sharedPatch) this.applyPatch(sharedPatch);
+        window.addEventListener('hashchange', () => {
+            const patch = this.patches.readHash();
+            if (patch) this.applyPatch(patch);
+        });
     }
     
     async start() {
@@ -132,12 +250,23 @@ class DryerApp {
         // Initialize audio context if needed
         if (!this.audio.isInitialized) {
             await this.audio.initialize();
-            this.audio.assignNotesToSurfaces(this.physics.surfaces);
-            this.updateMIDIStatus();
+            this.assignNotes();
+            this.onMIDIDevicesChanged();
         }
         
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.recorder.begin(this.physics.simTime);
+        
+        // Starting from the top replays the same humanize offsets for the same seed
+        if (this.physics.simTime === 0) {
+            this.quantizer.reset(this.physics.seed);
+            this.analytics.clear();
+        }
+        
+        if (this.syncMode === 'master') {
+            this.audio.startClock(this.tempo);
+        }
         
         // Update button states
         document.getElementById('startBtn').classList.add('active');
@@ -147,10 +276,14 @@ class DryerApp {
         this.animate();
     }
     
-    stop() {
+    // resetBall = false pauses in place (MIDI Stop), so a later Continue picks up where it left off
+    stop(resetBall = true) {
         if (!this.isRunning) return;
         
         this.isRunning = false;
+        this.recorder.finish();
+        this.updateRecorderStatus();
+        this.audio.stopClock();
         
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
@@ -158,7 +291,9 @@ class DryerApp {
         }
         
         // Reset ball position
-        this.physics.reset();
+        if (resetBall) {
+            this.physics.reset();
+        }
         
         // Update button states
         document.getElementById('startBtn').classList.remove('active');
@@ -166,6 +301,9 @@ class DryerApp {
         
         // Final render
         this.ui.render(this.physics);
+        this.renderAnalytics();
+        this.updateVoiceLoad();
+        this.updateLabReadout();
     }
     
     animate() {
@@ -178,20 +316,1847 @@ class DryerApp {
         // Limit delta time to prevent large jumps
         const clampedDelta = Math.min(deltaTime, 0.033); // Max 33ms (30 fps minimum)
         
-        // Update physics (multiple substeps for stability)
-        const substeps = 4;
-        const substepDelta = clampedDelta / substeps;
-        for (let i = 0; i < substeps; i++) {
-            this.physics.step(substepDelta);
+        // Update physics in fixed timesteps (deterministic regardless of frame rate)
+        this.physics.advance(clampedDelta);
+        this.updateModulatedKnobs();
+        
+        if (currentTime - this.lastLoadUpdate >= 250) {
+            this.lastLoadUpdate = currentTime;
+            this.updateVoiceLoad();
+            this.updateEngineLoad();
+            this.updateLabReadout();
         }
         
-        // Render
-        this.ui.render(this.physics);
+        // Render - every frame, or less often at a lower render quality (the physics above still ran)
+        if (this.ui.shouldDraw(currentTime)) {
+            this.ui.render(this.physics);
+            this.renderAnalytics();
+        }
         
         // Continue loop
         this.animationFrameId = requestAnimationFrame(() => this.animate());
     }
     
+    renderAnalytics() {
+        this.analytics.render([...this.physics.surfaces, this.physics.ballSurface], this.physics.simTime, this.getTempo());
+    }
+    
+    // UI knob values, with RPM replaced by the tempo-locked value when RPM lock is on
+    // With RPM Lock on, the drum speed comes from the tempo - capped at the RPM knob's range, so a
+    // fast tempo on a short ratio (1 rev / bar at 300 BPM is 75 RPM) doesn't spin past what the drum can do
+    getEffectiveParameters() {
+        const params = this.ui.getParameters();
+        if (this.rpmLock > 0) {
+            const { min, max } = DRYER_PARAMETER_LIMITS.rpm;
+            params.rpm = Math.max(min, Math.min(max, this.getTempo() * this.rpmLock));
+        }
+        return params;
+    }
+    
+    getTempo() {
+        if (this.syncMode.startsWith('input:') && this.clock.bpm) {
+            return this.clock.bpm;
+        }
+        return this.tempo;
+    }
+    
+    // Push a tempo change to everything that follows it
+    onTempoChanged() {
+        const bpm = this.getTempo();
+        this.recorder.setTempo(bpm);
+        this.quantizer.setBpm(bpm);
+        this.audio.setClockTempo(bpm);
+        
+        if (this.rpmLock > 0) {
+            const params = this.getEffectiveParameters();
+            this.physics.setParameters(params.rpm, params.drumSize, params.vanes, params.vaneHeight);
+        }
+        
+        const syncStatus = document.getElementById('syncStatus');
+        if (syncStatus) {
+            const following = this.syncMode.startsWith('input:');
+            const capped = this.getTempo() * this.rpmLock > DRYER_PARAMETER_LIMITS.rpm.max;
+            const rpmText = this.rpmLock > 0 ? ` · drum ${this.physics.rpm.toFixed(1)} RPM${capped ? ' (max - too fast to lock)' : ''}` : '';
+            syncStatus.textContent = following && !this.clock.bpm
+                ? 'Waiting for MIDI clock…'
+                : `${bpm.toFixed(1)} BPM${following ? ' (MIDI clock)' : ''}${rpmText}`;
+        }
+    }
+    
+    initSyncControls() {
+        const syncSelect = document.getElementById('syncSelect');
+        const tempoInput = document.getElementById('tempoInput');
+        const rpmLockSelect = document.getElementById('rpmLockSelect');
+        
+        // Incoming MIDI transport drives the on-screen transport
+        this.clock.onStart = () => {
+            this.stop();
+            this.physics.reset();
+            this.start();
+        };
+        this.clock.onStop = () => this.stop(false);
+        this.clock.onContinue = () => this.start();
+        this.clock.onSongPosition = (position) => {
+            // Deterministic physics lets us jump straight to the DAW's position. Long jumps are
+            // replayed a slice per frame - by the animation loop once Continue arrives, until then here.
+            if (this.isRunning) return;
+            cancelAnimationFrame(this.catchUpFrameId);
+            const catchUp = () => {
+                if (this.isRunning) return;
+                const done = this.physics.continueFastForward();
+                this.ui.render(this.physics);
+                if (!done) this.catchUpFrameId = requestAnimationFrame(catchUp);
+            };
+            this.physics.fastForward(this.clock.songPositionToSeconds(position, this.getTempo()), 0);
+            catchUp();
+        };
+        this.clock.onTempo = () => this.onTempoChanged();
+        
+        if (syncSelect) {
+            syncSelect.addEventListener('change', (e) => {
+                this.setSyncMode(e.target.value);
+            });
+        }
+        
+        if (tempoInput) {
+            tempoInput.value = this.tempo;
+            tempoInput.addEventListener('change', (e) => {
+                const bpm = parseFloat(e.target.value);
+                if (bpm >= 20 && bpm <= 300) {
+                    this.tempo = bpm;
+                } else {
+                    e.target.value = this.tempo;
+                }
+                this.onTempoChanged();
+            });
+        }
+        
+        if (rpmLockSelect) {
+            DRYER_RPM_LOCKS.forEach((lock, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = lock.label;
+                rpmLockSelect.appendChild(option);
+            });
+            
+            rpmLockSelect.addEventListener('change', (e) => {
+                this.rpmLock = DRYER_RPM_LOCKS[parseInt(e.target.value)].value;
+                this.ui.onParameterChange();
+                this.onTempoChanged();
+            });
+        }
+        
+        this.updateSyncInputs();
+        this.onTempoChanged();
+    }
+    
+    setSyncMode(mode) {
+        this.syncMode = mode;
+        
+        const inputId = mode.startsWith('input:') ? mode.slice('input:'.length) : null;
+        const input = this.audio.getMIDIInputs().find(port => port.id === inputId) || null;
+        this.clock.listen(input);
+        
+        // Stop sending clock when no longer master; start if we become master mid-run
+        if (mode === 'master' && this.isRunning) {
+            this.audio.startClock(this.tempo);
+        } else if (mode !== 'master') {
+            this.audio.stopClock();
+        }
+        
+        this.onTempoChanged();
+    }
+    
+    // Rebuild the sync dropdown from the current MIDI inputs (hot-plug aware)
+    updateSyncInputs() {
+        const syncSelect = document.getElementById('syncSelect');
+        if (!syncSelect) return;
+        
+        syncSelect.innerHTML = '';
+        const options = [
+            { value: 'internal', label: 'Internal (free)' },
+            { value: 'master', label: 'Master (send clock)' },
+            ...this.audio.getMIDIInputs().map(input => ({ value: `input:${input.id}`, label: `Follow: ${input.name}` }))
+        ];
+        
+        options.forEach(opt => {
+            const option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.label;
+            syncSelect.appendChild(option);
+        });
+        
+        // Fall back to internal if the followed port was unplugged
+        if (!options.some(opt => opt.value === this.syncMode)) {
+            this.setSyncMode('internal');
+        }
+        syncSelect.value = this.syncMode;
+    }
+    
+    initQuantizeControls() {
+        const quantizeToggle = document.getElementById('quantizeToggle');
+        const quantizeGrid = document.getElementById('quantizeGrid');
+        const sliders = [
+            { id: 'quantizeStrength', key: 'strength' },
+            { id: 'quantizeSwing',    key: 'swing' },
+            { id: 'quantizeHumanize', key: 'humanize' },
+        ];
+        
+        if (quantizeToggle) {
+            quantizeToggle.checked = this.quantizer.enabled;
+            quantizeToggle.addEventListener('change', (e) => {
+                this.quantizer.setEnabled(e.target.checked);
+            });
+        }
+        
+        if (quantizeGrid) {
+            DRYER_QUANTIZE_GRIDS.forEach((grid, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = grid.label;
+                quantizeGrid.appendChild(option);
+            });
+            quantizeGrid.value = this.quantizer.gridIndex;
+            
+            quantizeGrid.addEventListener('change', (e) => {
+                this.quantizer.gridIndex = parseInt(e.target.value);
+            });
+        }
+        
+        sliders.forEach(({ id, key }) => {
+            const slider = document.getElementById(id);
+            if (!slider) return;
+            
+            const label = document.getElementById(`${id}Value`);
+            const update = () => {
+                this.quantizer[key] = parseInt(slider.value);
+                if (label) label.textContent = `${slider.value}%`;
+            };
+            
+            slider.value = this.quantizer[key];
+            slider.addEventListener('input', update);
+            update();
+        });
+    }
+    
+    initNoteControls() {
+        const rootNoteSelect = document.getElementById('rootNoteSelect');
+        const octaveSelect = document.getElementById('octaveSelect');
+        const noteTable = document.getElementById('noteTable');
+        
+        const onTransposeChange = () => {
+            this.audio.setTranspose(
+                rootNoteSelect ? parseInt(rootNoteSelect.value) : this.audio.rootNote,
+                octaveSelect ? parseInt(octaveSelect.value) : this.audio.octave
+            );
+            this.assignNotes();
+        };
+        
+        if (rootNoteSelect) {
+            NOTE_NAMES.forEach((name, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = name;
+                rootNoteSelect.appendChild(option);
+            });
+            rootNoteSelect.value = this.audio.rootNote;
+            rootNoteSelect.addEventListener('change', onTransposeChange);
+        }
+        
+        if (octaveSelect) {
+            for (let octave = -1; octave <= 7; octave++) {
+                const option = document.createElement('option');
+                option.value = octave;
+                option.textContent = octave;
+                octaveSelect.appendChild(option);
+            }
+            octaveSelect.value = this.audio.octave;
+            octaveSelect.addEventListener('change', onTransposeChange);
+        }
+        
+        // One delegated listener for the whole table - rows are rebuilt whenever surfaces change
+        if (noteTable) {
+            noteTable.addEventListener('change', (e) => {
+                const surfaceId = e.target.closest('tr').dataset.surface;
+                const field = e.target.dataset.field;
+                
+                if (field === 'note') {
+                    const note = parseInt(e.target.value);
+                    // Typing a note pins it; clearing the field unpins
+                    this.audio.setSurfaceNote(surfaceId, note >= 0 && note <= 127 ? note : null);
+                } else if (field === 'pin') {
+                    this.audio.setSurfaceNote(surfaceId, e.target.checked ? this.audio.surfaceToNote.get(surfaceId) : null);
+                } else if (field === 'mute') {
+                    this.audio.setSurfaceMuted(surfaceId, e.target.checked);
+                }
+                this.assignNotes();
+            });
+        }
+    }
+    
+    updateNoteTable() {
+        const tbody = document.querySelector('#noteTable tbody');
+        if (!tbody) return;
+        
+        const labels = { drum: 'Drum', vane_leading: 'Lead', vane_trailing: 'Trail', ball: 'Ball' };
+        tbody.innerHTML = '';
+        
+        // Last row: ball-on-ball hits
+        [...this.physics.surfaces, this.physics.ballSurface].forEach(surface => {
+            const note = this.audio.surfaceToNote.get(surface.id);
+            const row = document.createElement('tr');
+            row.dataset.surface = surface.id;
+            row.innerHTML = `
+                <td><span class="note-swatch" style="background:${surface.color}"></span>${labels[surface.type]} ${surface.index + 1}</td>
+                <td><input type="number" class="feature-select note-input" data-field="note" min="0" max="127" value="${note}"></td>
+                <td class="note-name">${this.audio.getNoteName(note)}</td>
+                <td><input type="checkbox" class="feature-checkbox" data-field="pin" title="Pin note" ${this.audio.isPinned(surface.id) ? 'checked' : ''}></td>
+                <td><input type="checkbox" class="feature-checkbox" data-field="mute" title="Mute surface" ${this.audio.isMuted(surface.id) ? 'checked' : ''}></td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+    
+    initMIDIOutputControls() {
+        const midiOutputSelect = document.getElementById('midiOutputSelect');
+        const channelModeSelect = document.getElementById('midiChannelMode');
+        const channelSelect = document.getElementById('midiChannelSelect');
+        const gateInput = document.getElementById('gateInput');
+        const gateVelocityToggle = document.getElementById('gateVelocityToggle');
+        const scrapeModeSelect = document.getElementById('scrapeModeSelect');
+        const scrapeCCInput = document.getElementById('scrapeCCInput');
+        const surfaceChannelSelects = document.querySelectorAll('[data-surface-channel]');
+        
+        // Hot-plug: refresh the port lists whenever a MIDI device appears or disappears
+        this.audio.onDevicesChanged = () => this.onMIDIDevicesChanged();
+        
+        const fillChannels = (select, value) => {
+            for (let channel = 0; channel < 16; channel++) {
+                const option = document.createElement('option');
+                option.value = channel;
+                option.textContent = `Ch ${channel + 1}`;
+                select.appendChild(option);
+            }
+            select.value = value;
+        };
+        
+        if (midiOutputSelect) {
+            midiOutputSelect.addEventListener('change', (e) => {
+                this.audio.setMIDIOutput(e.target.value || null);
+                // Changing ports mid-run as clock master: carry the clock over to the new port
+                if (this.syncMode === 'master' && this.isRunning) {
+                    this.audio.startClock(this.tempo);
+                }
+                this.updateMIDIStatus();
+            });
+        }
+        
+        if (channelModeSelect) {
+            MIDI_CHANNEL_MODES.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.value;
+                option.textContent = mode.label;
+                channelModeSelect.appendChild(option);
+            });
+            channelModeSelect.value = this.audio.channelMode;
+            
+            channelModeSelect.addEventListener('change', (e) => {
+                this.audio.setChannelMode(e.target.value);
+                this.updateChannelControls();
+            });
+        }
+        
+        if (channelSelect) {
+            fillChannels(channelSelect, this.audio.midiChannel);
+            channelSelect.addEventListener('change', (e) => {
+                this.audio.setMIDIChannel(parseInt(e.target.value));
+            });
+        }
+        
+        surfaceChannelSelects.forEach(select => {
+            const surfaceType = select.dataset.surfaceChannel;
+            fillChannels(select, this.audio.surfaceChannels[surfaceType]);
+            select.addEventListener('change', (e) => {
+                this.audio.setSurfaceChannel(surfaceType, parseInt(e.target.value));
+            });
+        });
+        
+        if (gateInput) {
+            gateInput.value = Math.round(this.audio.gateTime * 1000);
+            gateInput.addEventListener('change', (e) => {
+                const ms = parseInt(e.target.value);
+                if (ms >= 5 && ms <= 5000) {
+                    this.audio.setGate(ms / 1000);
+                } else {
+                    e.target.value = Math.round(this.audio.gateTime * 1000);
+                }
+            });
+        }
+        
+        if (gateVelocityToggle) {
+            gateVelocityToggle.checked = this.audio.gateFollowsVelocity;
+            gateVelocityToggle.addEventListener('change', (e) => {
+                this.audio.setGate(this.audio.gateTime, e.target.checked);
+            });
+        }
+        
+        if (scrapeModeSelect) {
+            DRYER_SCRAPE_MODES.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.value;
+                option.textContent = mode.label;
+                scrapeModeSelect.appendChild(option);
+            });
+            scrapeModeSelect.value = this.audio.scrapeMode;
+            
+            scrapeModeSelect.addEventListener('change', (e) => {
+                this.audio.setScrapeOutput(e.target.value);
+                this.updateChannelControls();
+            });
+        }
+        
+        if (scrapeCCInput) {
+            scrapeCCInput.value = this.audio.scrapeCC;
+            scrapeCCInput.addEventListener('change', (e) => {
+                const cc = parseInt(e.target.value);
+                if (cc >= 0 && cc <= 127) {
+                    this.audio.setScrapeOutput(this.audio.scrapeMode, cc);
+                } else {
+                    e.target.value = this.audio.scrapeCC;
+                }
+            });
+        }
+        
+        this.updateChannelControls();
+        this.updateMIDIOutputs();
+    }
+    
+    // =====================================================================
+    // VOICES
+    // =====================================================================
+    
+    initVoiceControls() {
+        const kitSelect = document.getElementById('voiceKitSelect');
+        const voiceRows = document.querySelectorAll('[data-voice-surface]');
+        
+        if (kitSelect) {
+            DRYER_VOICE_KITS.forEach((kit, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = kit.label;
+                kitSelect.appendChild(option);
+            });
+            
+            kitSelect.addEventListener('change', (e) => {
+                const kit = DRYER_VOICE_KITS[parseInt(e.target.value)];
+                if (kit) this.audio.voices.setKit(kit);
+                this.updateVoiceControls();
+            });
+        }
+        
+        const polyphonySelect = document.getElementById('polyphonySelect');
+        if (polyphonySelect) {
+            DRYER_POLYPHONY_OPTIONS.forEach(count => {
+                const option = document.createElement('option');
+                option.value = count;
+                option.textContent = `${count} voices`;
+                polyphonySelect.appendChild(option);
+            });
+            polyphonySelect.value = this.audio.voices.maxPolyphony;
+            
+            polyphonySelect.addEventListener('change', (e) => {
+                this.audio.voices.setPolyphony(parseInt(e.target.value));
+                this.updateVoiceLoad();
+            });
+        }
+        
+        const voiceStealSelect = document.getElementById('voiceStealSelect');
+        if (voiceStealSelect) {
+            DRYER_VOICE_STEALING.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.value;
+                option.textContent = mode.label;
+                voiceStealSelect.appendChild(option);
+            });
+            voiceStealSelect.value = this.audio.voices.stealMode;
+            
+            voiceStealSelect.addEventListener('change', (e) => {
+                this.audio.voices.setStealMode(e.target.value);
+            });
+        }
+        
+        voiceRows.forEach(row => {
+            const surfaceType = row.dataset.voiceSurface;
+            const select = row.querySelector('select');
+            const loadBtn = row.querySelector('button');
+            const fileInput = row.querySelector('input[type="file"]');
+            
+            DRYER_VOICES.forEach(voice => {
+                const option = document.createElement('option');
+                option.value = voice.value;
+                option.textContent = voice.label;
+                select.appendChild(option);
+            });
+            
+            select.addEventListener('change', (e) => {
+                this.audio.voices.setVoice(surfaceType, e.target.value);
+                this.updateVoiceControls();
+            });
+            
+            const loadFile = async (file) => {
+                if (!file) return;
+                if (!this.audio.isInitialized) {
+                    await this.audio.initialize();
+                }
+                try {
+                    await this.audio.voices.loadSample(this.audio.audioContext, surfaceType, file);
+                    // Loading a sample implies you want to hear it
+                    this.audio.voices.setVoice(surfaceType, 'sample');
+                } catch (err) {
+                    alert(`Could not decode ${file.name} - try a WAV file.`);
+                }
+                this.updateVoiceControls();
+            };
+            
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                loadFile(e.target.files[0]);
+                e.target.value = '';
+            });
+            
+            // Drag a WAV straight onto the row
+            row.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                row.classList.add('drop-target');
+            });
+            row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                row.classList.remove('drop-target');
+                loadFile(e.dataTransfer.files[0]);
+            });
+        });
+        
+        this.updateVoiceControls();
+    }
+    
+    updateVoiceControls() {
+        const voices = this.audio.voices;
+        const kitSelect = document.getElementById('voiceKitSelect');
+        
+        if (kitSelect) {
+            // Show the matching kit, or blank when the surfaces have been mixed by hand
+            const kitIndex = DRYER_VOICE_KITS.findIndex(kit =>
+                Object.keys(kit.voices).every(type => kit.voices[type] === voices.assignments[type]));
+            kitSelect.value = kitIndex >= 0 ? kitIndex : '';
+        }
+        
+        document.querySelectorAll('[data-voice-surface]').forEach(row => {
+            const surfaceType = row.dataset.voiceSurface;
+            const sample = voices.samples[surfaceType];
+            row.querySelector('select').value = voices.assignments[surfaceType];
+            row.querySelector('.sample-name').textContent = sample ? sample.name : 'drop a WAV here';
+        });
+    }
+    
+    // Voice pool meter: amber when nearly full, red when notes had to be cut since the last update
+    updateVoiceLoad() {
+        const meter = document.getElementById('voiceLoad');
+        const fill = document.getElementById('voiceLoadFill');
+        const text = document.getElementById('voiceLoadText');
+        if (!meter) return;
+        
+        const load = this.audio.voices.getLoad(this.audio.audioContext);
+        if (fill) fill.style.width = `${Math.min(100, load.load * 100)}%`;
+        if (text) text.textContent = `${load.active} / ${load.max} voices${load.stolen ? ` · ${load.stolen} cut` : ''}`;
+        meter.classList.toggle('warn', load.load >= 0.75);
+        meter.classList.toggle('over', load.stolen > 0);
+    }
+    
+    // =====================================================================
+    // DRUM GEOMETRY
+    // =====================================================================
+    
+    initGeometryControls() {
+        const drumShapeSelect = document.getElementById('drumShapeSelect');
+        const editVanesBtn = document.getElementById('editVanesBtn');
+        const resetVanesBtn = document.getElementById('resetVanesBtn');
+        
+        this.ui.initVaneEditor(this.physics);
+        
+        if (drumShapeSelect) {
+            DRYER_DRUM_SHAPES.forEach(shape => {
+                const option = document.createElement('option');
+                option.value = shape.label;
+                option.textContent = shape.label;
+                drumShapeSelect.appendChild(option);
+            });
+            drumShapeSelect.value = this.physics.drumShape.label;
+            
+            drumShapeSelect.addEventListener('change', (e) => {
+                this.physics.setDrumShape(e.target.value);
+                this.ui.render(this.physics);
+            });
+        }
+        
+        if (editVanesBtn) {
+            editVanesBtn.addEventListener('click', () => {
+                this.ui.setEditingVanes(!this.ui.editingVanes);
+                editVanesBtn.classList.toggle('active', this.ui.editingVanes);
+            });
+        }
+        
+        if (resetVanesBtn) {
+            resetVanesBtn.addEventListener('click', () => {
+                this.physics.resetVaneShapes();
+                this.ui.render(this.physics);
+            });
+        }
+    }
+    
+    initSpeedControls() {
+        const profileSelect = document.getElementById('speedProfileSelect');
+        const inputs = [
+            ['speedRampInput', 'ramp'],
+            ['speedPeriodInput', 'period'],
+            ['speedPauseInput', 'pause']
+        ];
+        
+        if (profileSelect) {
+            DRYER_SPEED_PROFILES.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.value;
+                option.textContent = profile.label;
+                profileSelect.appendChild(option);
+            });
+            
+            profileSelect.addEventListener('change', (e) => {
+                this.physics.setSpeedProfile({ mode: e.target.value });
+                this.updateSpeedControls();
+            });
+        }
+        
+        inputs.forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) this.physics.setSpeedProfile({ [key]: value });
+                this.updateSpeedControls();
+            });
+        });
+        
+        const curveInput = document.getElementById('speedCurveInput');
+        if (curveInput) {
+            curveInput.addEventListener('change', (e) => {
+                const curve = e.target.value.split(',').map(parseFloat).filter(Number.isFinite);
+                if (curve.length > 0) this.physics.setSpeedProfile({ curve: curve });
+                this.updateSpeedControls();
+            });
+        }
+        
+        this.updateSpeedControls();
+    }
+    
+    // Show the profile's (clamped) values, with only the fields its mode uses
+    updateSpeedControls() {
+        const profile = this.physics.speedProfile;
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        
+        setValue('speedProfileSelect', profile.mode);
+        setValue('speedRampInput', profile.ramp);
+        setValue('speedPeriodInput', profile.period);
+        setValue('speedPauseInput', profile.pause);
+        setValue('speedCurveInput', profile.curve.join(', '));
+        
+        const periodGroup = document.getElementById('speedPeriodGroup');
+        const curveGroup = document.getElementById('speedCurveGroup');
+        if (periodGroup) periodGroup.hidden = profile.mode === 'constant';
+        if (curveGroup) curveGroup.hidden = profile.mode !== 'custom';
+    }
+    
+    initEngineControls() {
+        const selects = [
+            ['integratorSelect', DRYER_INTEGRATORS.map(option => [option.value, option.label])],
+            ['collisionModeSelect', DRYER_COLLISION_MODES.map(option => [option.value, option.label])],
+            ['substepsSelect', DRYER_SUBSTEP_OPTIONS.map(count => [count, count === 1 ? 'Off' : `Up to ${count}`])]
+        ];
+        
+        selects.forEach(([id, options]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            
+            select.addEventListener('change', () => {
+                const value = key => document.getElementById(key)?.value;
+                this.physics.setIntegration(
+                    value('integratorSelect') || this.physics.integrator,
+                    value('collisionModeSelect') || this.physics.collisionMode,
+                    parseInt(value('substepsSelect')) || this.physics.maxSubsteps
+                );
+                this.physics.resetProfile();
+            });
+        });
+        
+        // Step timing for the load readout - cheap enough to leave on
+        this.physics.profiling = true;
+        this.updateEngineControls();
+    }
+    
+    updateEngineControls() {
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        setValue('integratorSelect', this.physics.integrator);
+        setValue('collisionModeSelect', this.physics.collisionMode);
+        setValue('substepsSelect', this.physics.maxSubsteps);
+    }
+    
+    // Simulation cost since the last update, as a share of real time
+    updateEngineLoad() {
+        const text = document.getElementById('engineLoadText');
+        const profile = this.physics.getProfile();
+        if (!text || profile.steps === 0) return;
+        
+        text.textContent = `${(profile.cpuLoad * 100).toFixed(1)}% CPU · ${profile.avgSubsteps.toFixed(1)} substeps`;
+        this.physics.resetProfile();
+    }
+    
+    // Canvas overlays are view settings only - they don't change the pattern and aren't saved in patches
+    initOverlayControls() {
+        const toggles = { trailsToggle: 'trails', forcesToggle: 'forces', airMapToggle: 'airMap' };
+        Object.entries(toggles).forEach(([id, name]) => {
+            const toggle = document.getElementById(id);
+            if (!toggle) return;
+            toggle.addEventListener('change', (e) => {
+                this.ui.setOverlay(name, e.target.checked);
+                if (!this.isRunning) this.ui.render(this.physics);
+            });
+        });
+        
+        const viewSelect = document.getElementById('viewModeSelect');
+        if (viewSelect) {
+            DRYER_VIEW_MODES.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.value;
+                option.textContent = mode.label;
+                viewSelect.appendChild(option);
+            });
+            viewSelect.value = this.ui.view;
+            viewSelect.addEventListener('change', (e) => {
+                this.ui.setView(e.target.value);
+                
+                const split = this.ui.view === 'split';
+                document.getElementById('dryerDisplays')?.classList.toggle('split', split);
+                const drumDisplay = document.querySelector('.dryer-display-drum');
+                if (drumDisplay) drumDisplay.hidden = !split;
+                if (!this.isRunning) this.ui.render(this.physics);
+            });
+        }
+        
+        const qualitySelect = document.getElementById('renderQualitySelect');
+        if (qualitySelect) {
+            DRYER_RENDER_QUALITIES.forEach(quality => {
+                const option = document.createElement('option');
+                option.value = quality.value;
+                option.textContent = quality.label;
+                qualitySelect.appendChild(option);
+            });
+            qualitySelect.value = this.ui.quality;
+            qualitySelect.addEventListener('change', (e) => {
+                this.ui.setQuality(e.target.value);
+                if (!this.isRunning) this.ui.render(this.physics);
+            });
+        }
+        
+        const frameSelect = document.getElementById('overlayFrameSelect');
+        if (frameSelect) {
+            DRYER_OVERLAY_FRAMES.forEach(frame => {
+                const option = document.createElement('option');
+                option.value = frame.value;
+                option.textContent = frame.label;
+                frameSelect.appendChild(option);
+            });
+            frameSelect.value = this.ui.overlays.frame;
+            frameSelect.addEventListener('change', (e) => {
+                this.ui.setOverlay('frame', e.target.value);
+                if (!this.isRunning) this.ui.render(this.physics);
+            });
+        }
+        
+        const legend = document.getElementById('forceLegend');
+        if (legend) {
+            DRYER_FORCE_ARROWS.forEach(({ label, color }) => {
+                const item = document.createElement('span');
+                item.textContent = label;
+                item.style.color = color;
+                legend.appendChild(item);
+            });
+        }
+    }
+    
+    // =====================================================================
+    // PERFORMANCE MODE - fullscreen drum with large touch targets
+    // =====================================================================
+    
+    initPerformanceControls() {
+        const performanceBtn = document.getElementById('performanceBtn');
+        if (!performanceBtn) return;
+        performanceBtn.addEventListener('click', () => {
+            this.setPerformanceMode(!document.body.classList.contains('performance-mode'));
+        });
+        
+        // Leaving fullscreen with Esc or the browser's own controls ends performance mode too
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement && document.body.classList.contains('performance-mode')) {
+                this.setPerformanceMode(false);
+            }
+        });
+    }
+    
+    // The layout works without fullscreen too (e.g. iOS Safari, which has no Fullscreen API for pages)
+    setPerformanceMode(on) {
+        document.body.classList.toggle('performance-mode', on);
+        
+        const performanceBtn = document.getElementById('performanceBtn');
+        if (performanceBtn) {
+            performanceBtn.textContent = on ? 'Exit' : 'Perform';
+            performanceBtn.classList.toggle('active', on);
+        }
+        
+        const root = document.documentElement;
+        if (on && !document.fullscreenElement && root.requestFullscreen) {
+            root.requestFullscreen().catch(error => console.warn('Fullscreen not available:', error.message));
+        } else if (!on && document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+        
+        this.ui.requestResize();
+    }
+    
+    // =====================================================================
+    // LAB PANEL - ball and air properties, force switches and live readouts
+    // =====================================================================
+    
+    initLabControls() {
+        const panel = document.getElementById('labPanel');
+        const ballSelect = document.getElementById('labBallSelect');
+        const addBallBtn = document.getElementById('labAddBallBtn');
+        const resetBallBtn = document.getElementById('labResetBallBtn');
+        if (!panel) return;
+        
+        // Ball property inputs: data-ball-property names the property, data-scale converts SI to the shown unit
+        panel.querySelectorAll('[data-ball-property]').forEach(input => {
+            const key = input.dataset.ballProperty;
+            const scale = parseFloat(input.dataset.scale);
+            input.min = DRYER_BALL_LIMITS[key].min * scale;
+            input.max = DRYER_BALL_LIMITS[key].max * scale;
+            
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) {
+                    const p = this.physics.clampBallProperties({ [key]: value / scale });
+                    this.physics.setBallProperties(p.radius, p.mass, p.restitution, p.dragCoeff, this.getLabBallIndex(), p.friction, p.inertia);
+                }
+                this.updateLabControls();
+                if (!this.isRunning) this.ui.render(this.physics);
+            });
+        });
+        
+        if (ballSelect) {
+            ballSelect.addEventListener('change', () => this.updateLabControls());
+        }
+        
+        if (addBallBtn) {
+            addBallBtn.addEventListener('click', () => {
+                const spec = { type: 'custom' };
+                panel.querySelectorAll('[data-ball-property]').forEach(input => {
+                    spec[input.dataset.ballProperty] = parseFloat(input.value) / parseFloat(input.dataset.scale);
+                });
+                this.physics.addBall(spec);
+                
+                const ballTypeSelect = document.getElementById('ballTypeSelect');
+                if (ballTypeSelect) ballTypeSelect.value = 'custom';
+                if (ballSelect) ballSelect.dataset.selected = this.physics.balls.length - 1;
+                this.onBallsChanged();
+            });
+        }
+        
+        if (resetBallBtn) {
+            resetBallBtn.addEventListener('click', () => {
+                const index = this.getLabBallIndex();
+                const ball = this.physics.balls[index];
+                if (!ball) return;
+                this.physics.setBallType(DRYER_BALL_PRESETS[ball.type] ? ball.type : 'tennis', index);
+                this.updateBallList();
+                if (!this.isRunning) this.ui.render(this.physics);
+            });
+        }
+        
+        const airDensityInput = document.getElementById('labAirDensityInput');
+        if (airDensityInput) {
+            airDensityInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) this.physics.airDensity = Math.max(0, Math.min(5, value));
+                this.updateLabControls();
+            });
+        }
+        
+        const lintThresholdInput = document.getElementById('labLintThresholdInput');
+        if (lintThresholdInput) {
+            lintThresholdInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) this.physics.lintTrapThreshold = Math.max(0, Math.min(2, value));
+                this.updateLabControls();
+            });
+        }
+        
+        const toggles = {
+            labCoriolisToggle: enable => this.physics.toggleCoriolis(enable),
+            labCentrifugalToggle: enable => this.physics.toggleCentrifugal(enable),
+            labDragToggle: enable => this.physics.toggleDrag(enable),
+            labEulerToggle: enable => this.physics.toggleEuler(enable)
+        };
+        Object.entries(toggles).forEach(([id, toggle]) => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) checkbox.addEventListener('change', (e) => toggle(e.target.checked));
+        });
+        
+        // The console (dryerDebug) can change things behind the panel's back - catch up when it opens
+        panel.addEventListener('toggle', () => {
+            if (panel.open) {
+                this.updateLabControls();
+                this.updateLabReadout();
+            }
+        });
+        
+        this.updateLabControls();
+    }
+    
+    getLabBallIndex() {
+        const ballSelect = document.getElementById('labBallSelect');
+        const index = ballSelect ? parseInt(ballSelect.value) : 0;
+        return Math.min(Number.isFinite(index) ? index : 0, this.physics.balls.length - 1);
+    }
+    
+    updateLabControls() {
+        const panel = document.getElementById('labPanel');
+        const ballSelect = document.getElementById('labBallSelect');
+        if (!panel) return;
+        
+        // Rebuild the ball list, keeping the picked ball (or the one just added)
+        if (ballSelect) {
+            const selected = ballSelect.dataset.selected !== undefined ? parseInt(ballSelect.dataset.selected) : this.getLabBallIndex();
+            delete ballSelect.dataset.selected;
+            
+            ballSelect.innerHTML = '';
+            this.physics.balls.forEach((ball, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = `${i + 1}: ${DRYER_BALL_PRESETS[ball.type] ? DRYER_BALL_PRESETS[ball.type].label : 'Custom'}`;
+                ballSelect.appendChild(option);
+            });
+            ballSelect.value = Math.max(0, Math.min(selected || 0, this.physics.balls.length - 1));
+        }
+        
+        const ball = this.physics.balls[this.getLabBallIndex()];
+        panel.querySelectorAll('[data-ball-property]').forEach(input => {
+            const value = ball[input.dataset.ballProperty] * parseFloat(input.dataset.scale);
+            input.value = parseFloat(value.toFixed(4));
+        });
+        
+        const hint = document.getElementById('labBallHint');
+        if (hint) {
+            const changed = typeof this.physics.getBallConfig(ball) === 'object';
+            hint.textContent = changed ? 'Changed from the preset - saved in patches' : 'Preset values';
+        }
+        
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        const setChecked = (id, checked) => {
+            const el = document.getElementById(id);
+            if (el) el.checked = checked;
+        };
+        setValue('labAirDensityInput', this.physics.airDensity);
+        setValue('labLintThresholdInput', this.physics.lintTrapThreshold);
+        setChecked('labCoriolisToggle', this.physics.enableCoriolis);
+        setChecked('labCentrifugalToggle', this.physics.enableCentrifugal);
+        setChecked('labDragToggle', this.physics.enableAirDrag);
+        setChecked('labEulerToggle', this.physics.enableEuler);
+    }
+    
+    // Live values for the first ball - only while the panel is open
+    updateLabReadout() {
+        const panel = document.getElementById('labPanel');
+        const body = document.querySelector('#labReadout tbody');
+        if (!panel || !body || !panel.open) return;
+        
+        const debug = this.physics.getDebugInfo();
+        const rows = [
+            ['Drum', `${debug.drumRpm} RPM · ${debug.angularAccel} rad/s²`],
+            ['Position (m)', debug.position],
+            ['Velocity (m/s)', `${debug.velocity} · ${debug.totalVelocity.toFixed(2)}`],
+            ['Spin (rad/s)', debug.spin],
+            ['Centrifugal', `${debug.centrifugalMagnitude.toFixed(2)} m/s²`],
+            ['Coriolis', `${debug.coriolisMagnitude.toFixed(2)} m/s²`],
+            ['Drag', `${debug.dragMagnitude.toFixed(2)} m/s²${debug.airVelocity !== undefined ? ` · air ${debug.airVelocity.toFixed(2)} m/s` : ''}`],
+            ['Contacts', debug.contacts],
+            ['Time', `${debug.simTime} s`]
+        ];
+        
+        // Build the rows once, then only update the values
+        if (body.rows.length !== rows.length) {
+            body.innerHTML = '';
+            rows.forEach(() => {
+                const row = body.insertRow();
+                row.insertCell();
+                row.insertCell();
+            });
+        }
+        rows.forEach(([label, value], i) => {
+            body.rows[i].cells[0].textContent = label;
+            body.rows[i].cells[1].textContent = value;
+        });
+    }
+    
+    // =====================================================================
+    // MIXER
+    // =====================================================================
+    
+    initMixerControls() {
+        const mixerStrips = document.getElementById('mixerStrips');
+        const panSpread = document.getElementById('mixerPanSpread');
+        const reverb = document.getElementById('mixerReverb');
+        const limiter = document.getElementById('mixerLimiter');
+        const mixer = this.audio.mixer;
+        
+        if (mixerStrips) {
+            DRYER_MIXER_STRIPS.forEach(strip => {
+                const row = document.createElement('div');
+                row.className = 'mixer-row';
+                row.dataset.mixerSurface = strip.type;
+                
+                const label = document.createElement('span');
+                label.className = 'voice-surface';
+                label.textContent = strip.label;
+                
+                const makeRange = (field, min, max) => {
+                    const input = document.createElement('input');
+                    input.type = 'range';
+                    input.className = 'feature-range';
+                    input.dataset.field = field;
+                    input.min = min;
+                    input.max = max;
+                    return input;
+                };
+                
+                row.append(label, makeRange('gain', 0, 150), makeRange('pan', -100, 100));
+                mixerStrips.appendChild(row);
+            });
+            
+            // One delegated listener for every strip
+            mixerStrips.addEventListener('input', (e) => {
+                const row = e.target.closest('.mixer-row');
+                if (!row || !row.dataset.mixerSurface) return;
+                
+                const gain = parseInt(row.querySelector('[data-field="gain"]').value) / 100;
+                const pan = parseInt(row.querySelector('[data-field="pan"]').value) / 100;
+                mixer.setStrip(row.dataset.mixerSurface, gain, pan);
+                this.updateMixerControls();
+            });
+        }
+        
+        if (panSpread) {
+            panSpread.addEventListener('input', (e) => {
+                mixer.setPanSpread(parseInt(e.target.value) / 100);
+                this.updateMixerControls();
+            });
+        }
+        
+        if (reverb) {
+            reverb.addEventListener('input', (e) => {
+                mixer.setReverbMix(parseInt(e.target.value) / 100);
+                this.updateMixerControls();
+            });
+        }
+        
+        if (limiter) {
+            limiter.addEventListener('change', (e) => {
+                mixer.setLimiter(e.target.checked);
+            });
+        }
+        
+        this.updateMixerControls();
+    }
+    
+    updateMixerControls() {
+        const mixer = this.audio.mixer;
+        const setPercent = (id, value) => {
+            const input = document.getElementById(id);
+            const label = document.getElementById(`${id}Value`);
+            if (input) input.value = Math.round(value * 100);
+            if (label) label.textContent = `${Math.round(value * 100)}%`;
+        };
+        
+        document.querySelectorAll('[data-mixer-surface]').forEach(row => {
+            const strip = mixer.strips[row.dataset.mixerSurface];
+            const gain = row.querySelector('[data-field="gain"]');
+            const pan = row.querySelector('[data-field="pan"]');
+            const panPercent = Math.round(strip.pan * 100);
+            
+            gain.value = Math.round(strip.gain * 100);
+            gain.title = `Level ${gain.value}%`;
+            pan.value = panPercent;
+            pan.title = panPercent === 0 ? 'Pan center' : `Pan ${Math.abs(panPercent)}% ${panPercent < 0 ? 'left' : 'right'}`;
+        });
+        
+        setPercent('mixerPanSpread', mixer.panSpread);
+        setPercent('mixerReverb', mixer.reverbMix);
+        
+        const limiter = document.getElementById('mixerLimiter');
+        if (limiter) limiter.checked = mixer.limiterEnabled;
+    }
+    
+    // =====================================================================
+    // MODULATION
+    // =====================================================================
+    
+    // Called before every physics step: knob values (after RPM lock) + LFO offsets.
+    // Takes the physics/modulation pair so the offline bounce can drive its own copy.
+    applyModulation(time, physics = this.physics, modulation = this.modulation) {
+        if (!modulation.isActive) return null;
+        
+        const offsets = modulation.getOffsets(time, this.getTempo());
+        const params = modulation.apply(this.getEffectiveParameters(), offsets, this.ui.knobs);
+        
+        physics.setParameters(params.rpm, params.drumSize, params.vanes, params.vaneHeight);
+        physics.restitutionScale = Math.max(0, 1 + (offsets.restitution || 0));
+        return params;
+    }
+    
+    updateModulatedKnobs() {
+        const params = this.modulation.isActive ? this.modulatedParams : null;
+        DRYER_MOD_TARGETS.forEach(target => {
+            if (!target.knob) return;
+            const modulated = params && this.modulation.modulators.some(mod => mod.target === target.value);
+            this.ui.showModulatedValue(target.knob, modulated ? params[target.knob] : null);
+        });
+    }
+    
+    // Put the physics back on the plain knob values once nothing is modulating
+    onModulationChanged() {
+        if (!this.modulation.isActive) {
+            this.modulatedParams = null;
+            this.physics.restitutionScale = 1;
+            this.ui.onParameterChange();
+        }
+        this.updateModulatedKnobs();
+    }
+    
+    initModulationControls() {
+        const modMatrix = document.getElementById('modMatrix');
+        if (!modMatrix) return;
+        
+        const makeSelect = (field, options) => {
+            const select = document.createElement('select');
+            select.className = 'feature-select';
+            select.dataset.field = field;
+            options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.label;
+                select.appendChild(option);
+            });
+            return select;
+        };
+        
+        this.modulation.modulators.forEach((mod, i) => {
+            const row = document.createElement('div');
+            row.className = 'mod-row';
+            row.dataset.mod = i;
+            
+            const label = document.createElement('span');
+            label.className = 'feature-label';
+            label.textContent = `LFO ${i + 1}`;
+            
+            const rate = document.createElement('input');
+            rate.type = 'number';
+            rate.className = 'feature-select feature-input';
+            rate.dataset.field = 'rate';
+            rate.min = 0.01;
+            rate.max = 10;
+            rate.step = 0.01;
+            rate.title = 'Rate (Hz)';
+            
+            const depth = document.createElement('input');
+            depth.type = 'range';
+            depth.className = 'feature-range';
+            depth.dataset.field = 'depth';
+            depth.min = 0;
+            depth.max = 100;
+            depth.title = 'Depth';
+            
+            const depthValue = document.createElement('span');
+            depthValue.className = 'feature-value';
+            
+            row.append(
+                label,
+                makeSelect('target', [{ value: '', label: 'Off' }, ...DRYER_MOD_TARGETS]),
+                makeSelect('shape', DRYER_MOD_SHAPES),
+                makeSelect('sync', DRYER_MOD_SYNC_RATES.map(r => ({ value: r.beats, label: r.label }))),
+                rate,
+                depth,
+                depthValue
+            );
+            modMatrix.appendChild(row);
+        });
+        
+        // One delegated listener for every row
+        const onInput = (e) => {
+            const row = e.target.closest('.mod-row');
+            if (!row) return;
+            
+            const mod = this.modulation.modulators[parseInt(row.dataset.mod)];
+            const value = e.target.value;
+            switch (e.target.dataset.field) {
+                case 'target': mod.target = value || null; break;
+                case 'shape': mod.shape = value; break;
+                case 'sync': mod.syncBeats = parseFloat(value); break;
+                case 'rate': if (parseFloat(value) > 0) mod.rate = parseFloat(value); break;
+                case 'depth': mod.depth = parseInt(value); break;
+            }
+            this.updateModulationControls();
+            this.onModulationChanged();
+        };
+        modMatrix.addEventListener('change', onInput);
+        modMatrix.addEventListener('input', (e) => {
+            if (e.target.dataset.field === 'depth') onInput(e);
+        });
+        
+        this.updateModulationControls();
+    }
+    
+    updateModulationControls() {
+        document.querySelectorAll('#modMatrix .mod-row').forEach(row => {
+            const mod = this.modulation.modulators[parseInt(row.dataset.mod)];
+            const field = (name) => row.querySelector(`[data-field="${name}"]`);
+            
+            field('target').value = mod.target || '';
+            field('shape').value = mod.shape;
+            field('sync').value = mod.syncBeats;
+            field('rate').value = mod.rate;
+            field('rate').disabled = mod.syncBeats > 0;
+            field('depth').value = mod.depth;
+            row.querySelector('.feature-value').textContent = `${mod.depth}%`;
+            row.classList.toggle('mod-off', !mod.target);
+        });
+    }
+    
+    // =====================================================================
+    // MIDI LEARN
+    // =====================================================================
+    
+    initMidiLearnControls() {
+        const learnBtn = document.getElementById('midiLearnBtn');
+        const clearBtn = document.getElementById('midiLearnClearBtn');
+        const exportBtn = document.getElementById('midiLearnExportBtn');
+        const importBtn = document.getElementById('midiLearnImportBtn');
+        const importInput = document.getElementById('midiLearnImportInput');
+        
+        this.midiLearn.onControl = (target, value) => this.applyMidiControl(target, value);
+        this.midiLearn.onLearn = () => this.updateMidiLearnMarks();
+        
+        // In learn mode, clicking a knob or switch picks it instead of changing it.
+        // Capture phase, so the knob drag and checkbox toggle never see the event.
+        const pickTarget = (e) => {
+            if (!this.midiLearn.learnMode) return;
+            
+            const knob = e.target.closest('.knob');
+            const label = e.target.closest('.feature-label');
+            const toggle = label ? label.querySelector('input.feature-checkbox[id]') : null;
+            
+            let target = null;
+            if (knob && e.type !== 'click') {
+                target = `knob:${knob.id.replace(/Knob$/, '')}`;
+            } else if (toggle && e.type === 'click') {
+                target = `toggle:${toggle.id}`;
+            }
+            if (!target) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            this.midiLearn.selectTarget(target);
+            this.updateMidiLearnMarks();
+        };
+        document.addEventListener('mousedown', pickTarget, true);
+        document.addEventListener('touchstart', pickTarget, { capture: true, passive: false });
+        document.addEventListener('click', pickTarget, true);
+        
+        if (learnBtn) {
+            learnBtn.addEventListener('click', () => {
+                this.midiLearn.setLearnMode(!this.midiLearn.learnMode);
+                this.updateMidiLearnMarks();
+            });
+        }
+        
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                // Clears the picked control in learn mode, otherwise every mapping
+                if (this.midiLearn.learnTarget) {
+                    this.midiLearn.unbind(this.midiLearn.learnTarget);
+                } else if (this.midiLearn.bindings.size > 0 && confirm('Clear all MIDI mappings?')) {
+                    this.midiLearn.clear();
+                }
+                this.updateMidiLearnMarks();
+            });
+        }
+        
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.midiLearn.download('dryer-midi-map.json'));
+        }
+        
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file) return;
+                
+                try {
+                    this.midiLearn.fromJSON(JSON.parse(await file.text()));
+                } catch (err) {
+                    alert(`Could not import ${file.name}: ${err.message}`);
+                }
+                this.updateMidiLearnMarks();
+            });
+        }
+        
+        this.updateMidiLearnMarks();
+    }
+    
+    // CC value 0-127 → knob range, or switch on at 64 and above
+    applyMidiControl(target, value) {
+        const [kind, id] = target.split(':');
+        
+        if (kind === 'knob') {
+            const knob = this.ui.knobs[id];
+            if (knob) this.ui.setKnobValue(id, knob.min + (value / 127) * (knob.max - knob.min));
+        } else if (kind === 'toggle') {
+            const toggle = document.getElementById(id);
+            const on = value >= 64;
+            if (toggle && toggle.checked !== on) {
+                toggle.checked = on;
+                toggle.dispatchEvent(new Event('change'));
+            }
+        }
+    }
+    
+    // Mark mapped controls (tooltip shows the CC) and the control waiting to be learned
+    updateMidiLearnMarks() {
+        const learnBtn = document.getElementById('midiLearnBtn');
+        const status = document.getElementById('midiLearnStatus');
+        const learn = this.midiLearn;
+        
+        const elementFor = (target) => {
+            const [kind, id] = target.split(':');
+            if (kind === 'knob') return document.getElementById(`${id}Knob`);
+            const toggle = document.getElementById(id);
+            return toggle ? toggle.closest('.feature-label') : null;
+        };
+        
+        document.querySelectorAll('.midi-mapped, .midi-learn-target').forEach(el => {
+            el.classList.remove('midi-mapped', 'midi-learn-target');
+            el.removeAttribute('data-midi-cc');
+        });
+        
+        learn.bindings.forEach((target, key) => {
+            const el = elementFor(target);
+            if (!el) return;
+            el.classList.add('midi-mapped');
+            el.dataset.midiCc = learn.describe(key);
+        });
+        
+        if (learn.learnTarget) {
+            const el = elementFor(learn.learnTarget);
+            if (el) el.classList.add('midi-learn-target');
+        }
+        
+        document.body.classList.toggle('midi-learning', learn.learnMode);
+        if (learnBtn) learnBtn.classList.toggle('active', learn.learnMode);
+        
+        if (status) {
+            if (learn.learnMode && learn.learnTarget) {
+                status.textContent = 'Move a knob or fader on your controller…';
+            } else if (learn.learnMode) {
+                status.textContent = 'Click a knob or switch to map';
+            } else {
+                const count = learn.bindings.size;
+                status.textContent = count ? `${count} mapping${count === 1 ? '' : 's'}` : 'No mappings';
+            }
+        }
+    }
+    
+    onMIDIDevicesChanged() {
+        this.midiLearn.listen(this.audio.getMIDIInputs());
+        this.updateMIDIOutputs();
+        this.updateSyncInputs();
+        this.updateMIDIStatus();
+    }
+    
+    // Rebuild the output dropdown from the current MIDI outputs
+    updateMIDIOutputs() {
+        const midiOutputSelect = document.getElementById('midiOutputSelect');
+        if (!midiOutputSelect) return;
+        
+        midiOutputSelect.innerHTML = '';
+        const options = [
+            { value: '', label: 'Off (Web Audio only)' },
+            ...this.audio.getMIDIOutputs().map(output => ({ value: output.id, label: output.name }))
+        ];
+        
+        options.forEach(opt => {
+            const option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.label;
+            midiOutputSelect.appendChild(option);
+        });
+        
+        // An unplugged port stays chosen (shown as Off) so it is picked up again on replug
+        midiOutputSelect.value = this.audio.midiEnabled ? this.audio.midiOutputId : '';
+    }
+    
+    // Show the base channel or the per-surface channels depending on the routing mode
+    updateChannelControls() {
+        const perSurface = this.audio.channelMode === 'surface';
+        const channelGroup = document.getElementById('midiChannelGroup');
+        const surfaceGroup = document.getElementById('surfaceChannelGroup');
+        
+        if (channelGroup) channelGroup.hidden = perSurface;
+        if (surfaceGroup) surfaceGroup.hidden = !perSurface;
+        
+        const scrapeCCInput = document.getElementById('scrapeCCInput');
+        if (scrapeCCInput) scrapeCCInput.hidden = this.audio.scrapeMode !== 'cc';
+    }
+    
+    initRecorderControls() {
+        const recBtn = document.getElementById('recBtn');
+        const exportMidiBtn = document.getElementById('exportMidiBtn');
+        const midiExportMode = document.getElementById('midiExportMode');
+        
+        if (midiExportMode) {
+            MIDI_EXPORT_MODES.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.value;
+                option.textContent = mode.label;
+                midiExportMode.appendChild(option);
+            });
+            midiExportMode.value = 'surface';
+        }
+        
+        if (recBtn) {
+            recBtn.addEventListener('click', () => {
+                this.recorder.arm(!this.recorder.armed);
+                // Arming while running starts the take right away
+                if (this.recorder.armed && this.isRunning) {
+                    this.recorder.begin(this.physics.simTime);
+                }
+                this.updateRecorderStatus();
+            });
+        }
+        
+        if (exportMidiBtn) {
+            exportMidiBtn.addEventListener('click', () => {
+                if (!this.recorder.hasEvents) {
+                    alert('Nothing recorded yet. Arm REC, press START, then STOP when you have a take.');
+                    return;
+                }
+                const mode = midiExportMode ? midiExportMode.value : 'surface';
+                this.recorder.download(mode, `dryer-seed${this.physics.seed}-${mode}.mid`);
+            });
+        }
+    }
+    
+    initAudioExportControls() {
+        const audioRecBtn = document.getElementById('audioRecBtn');
+        const bounceBtn = document.getElementById('bounceBtn');
+        const bounceBars = document.getElementById('bounceBars');
+        
+        if (audioRecBtn) {
+            audioRecBtn.addEventListener('click', async () => {
+                if (!this.audio.isInitialized) {
+                    await this.audio.initialize();
+                }
+                
+                if (this.wavRecorder.isRecording) {
+                    const wav = this.wavRecorder.stop();
+                    this.wavRecorder.download(wav, `dryer-seed${this.physics.seed}-take.wav`);
+                } else {
+                    this.wavRecorder.start(this.audio.audioContext, this.audio.masterBus.output);
+                }
+                audioRecBtn.classList.toggle('armed', this.wavRecorder.isRecording);
+            });
+        }
+        
+        if (bounceBtn) {
+            bounceBtn.addEventListener('click', async () => {
+                const bars = Math.max(1, Math.min(64, parseInt(bounceBars ? bounceBars.value : 4) || 4));
+                if (bounceBars) bounceBars.value = bars;
+                
+                bounceBtn.disabled = true;
+                bounceBtn.textContent = 'Rendering…';
+                try {
+                    const wav = await this.bounce(bars);
+                    this.wavRecorder.download(wav, `dryer-seed${this.physics.seed}-${bars}bars.wav`);
+                } catch (e) {
+                    console.error('Bounce failed:', e);
+                    alert(`Bounce failed: ${e.message}`);
+                }
+                bounceBtn.disabled = false;
+                bounceBtn.textContent = 'Bounce WAV';
+            });
+        }
+    }
+    
+    // Render N bars from the start of the pattern, faster than real time: a private copy of
+    // the drum runs headless and every hit is scheduled into an OfflineAudioContext.
+    // The copy steps a slice at a time and lets the page breathe in between, so 64 bars don't freeze it.
+    async bounce(bars) {
+        const bpm = this.getTempo();
+        const seconds = bars * 4 * 60 / bpm;
+        const tail = 2; // let the last hits ring out
+        const sampleRate = this.audio.audioContext ? this.audio.audioContext.sampleRate : 44100;
+        
+        const ctx = new OfflineAudioContext(2, Math.ceil((seconds + tail) * sampleRate), sampleRate);
+        const bus = this.audio.createMasterBus(ctx);
+        
+        // Same config, seed, quantize and modulation as the live drum - so the same pattern. The
+        // knobs (tempo-locked RPM included) rather than physics, which holds the modulated values.
+        const sim = new DryerPhysics();
+        sim.applyConfig({ ...this.physics.getConfig(), ...this.getEffectiveParameters() });
+        
+        const quantizer = new DryerQuantizer();
+        quantizer.applyConfig(this.quantizer.getConfig());
+        quantizer.setBpm(bpm);
+        quantizer.reset(sim.seed);
+        
+        const modulation = new DryerModulation();
+        modulation.applyConfig(this.modulation.getConfig());
+        modulation.setSeed(sim.seed); // also puts the LFOs and random walks back at the top
+        sim.onBeforeStep = (time) => this.applyModulation(time, sim, modulation);
+        
+        sim.onCollision((surface, velocity, hit) => {
+            if (this.audio.isMuted(surface.id)) return;
+            const noteEvent = this.audio.getNoteEvent(surface, velocity, hit);
+            // Offline every note is scheduled at its own hit time, so the delay is counted from there
+            this.audio.renderNote(ctx, bus, hit.time + quantizer.getDelay(hit.time, hit.time), noteEvent, surface.type);
+        });
+        
+        const steps = Math.round(seconds / sim.fixedTimeStep);
+        for (let done = 0; done < steps; done += FAST_FORWARD_SLICE) {
+            const slice = Math.min(FAST_FORWARD_SLICE, steps - done);
+            for (let i = 0; i < slice; i++) sim.step(sim.fixedTimeStep);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        const rendered = await ctx.startRendering();
+        const channels = [0, 1].map(ch => rendered.getChannelData(ch));
+        return encodeWAV(channels, sampleRate);
+    }
+    
+    updateRecorderStatus() {
+        const recBtn = document.getElementById('recBtn');
+        const exportMidiBtn = document.getElementById('exportMidiBtn');
+        
+        if (recBtn) recBtn.classList.toggle('armed', this.recorder.armed);
+        if (exportMidiBtn) exportMidiBtn.disabled = !this.recorder.hasEvents;
+    }
+    
+    // =====================================================================
+    // PATCHES
+    // =====================================================================
+    
+    // Snapshot of everything needed to rebuild the current setup (MIDI ports are machine-specific, so not stored)
+    getPatch(name = 'Untitled') {
+        const lock = DRYER_RPM_LOCKS.find(option => option.value === this.rpmLock);
+        return {
+            version: DRYER_PATCH_VERSION,
+            name: name,
+            // Knob values rather than physics.rpm, which may be tempo-locked
+            physics: { ...this.physics.getConfig(), ...this.ui.getParameters() },
+            scale: DRYER_SCALES[this.scaleIndex].label,
+            audio: this.audio.getConfig(),
+            quantizer: this.quantizer.getConfig(),
+            modulation: this.modulation.getConfig(),
+            tempo: this.tempo,
+            rpmLock: lock ? lock.label : DRYER_RPM_LOCKS[0].label
+        };
+    }
+    
+    // Sections missing from the patch keep their current settings; engine settings it doesn't
+    // name come from the startup state, the same as for the factory presets
+    applyPatch(patch) {
+        // Patches can be hand-edited or come from a link, so the knob values are clamped first
+        const { integrator, collisions, substeps } = this.defaultPatch.physics;
+        const physics = this.physics.clampConfig({ integrator, collisions, substeps, ...patch.physics });
+        this.physics.applyConfig(physics);
+        Object.keys(DRYER_PARAMETER_LIMITS).forEach(knobId => {
+            if (physics[knobId] !== undefined) this.ui.setKnobValue(knobId, physics[knobId], false);
+        });
+        
+        const scaleIndex = DRYER_SCALES.findIndex(scale => scale.label === patch.scale);
+        if (scaleIndex >= 0) {
+            this.scaleIndex = scaleIndex;
+            this.audio.setScale(DRYER_SCALES[scaleIndex].vector, DRYER_SCALES[scaleIndex].drumMap);
+        }
+        if (patch.audio) this.audio.applyConfig(patch.audio);
+        if (patch.quantizer) this.quantizer.applyConfig(patch.quantizer);
+        if (patch.modulation) this.modulation.applyConfig(patch.modulation);
+        this.audio.setSeed(this.physics.seed);
+        this.modulation.setSeed(this.physics.seed);
+        
+        if (patch.tempo >= 20 && patch.tempo <= 300) this.tempo = patch.tempo;
+        const lock = DRYER_RPM_LOCKS.find(option => option.label === patch.rpmLock);
+        if (lock) this.rpmLock = lock.value;
+        
+        // Knobs feed physics through the usual path (RPM lock applied), which also reassigns notes
+        this.ui.onParameterChange();
+        this.onTempoChanged();
+        this.onModulationChanged();
+        this.updateControls();
+        this.updateBallList();
+        this.ui.render(this.physics);
+        
+        console.log('🎛️ Patch loaded:', patch.name || 'Untitled');
+    }
+    
+    // Bring every feature control in line with the current state after a patch load
+    updateControls() {
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        const setChecked = (id, checked) => {
+            const el = document.getElementById(id);
+            if (el) el.checked = checked;
+        };
+        
+        setValue('scaleSelect', this.scaleIndex);
+        setValue('ballTypeSelect', this.physics.balls[this.physics.balls.length - 1].type);
+        setValue('seedInput', this.physics.seed);
+        setValue('drumShapeSelect', this.physics.drumShape.label);
+        this.updateSpeedControls();
+        this.updateEngineControls();
+        this.updateLabControls();
+        setChecked('lintTrapToggle', this.physics.lintTrapEnabled);
+        setChecked('moonGravityToggle', this.physics.moonGravityEnabled);
+        setChecked('frictionToggle', this.physics.enableFriction);
+        setChecked('scatterToggle', this.audio.scatterEnabled);
+        
+        setValue('rootNoteSelect', this.audio.rootNote);
+        setValue('octaveSelect', this.audio.octave);
+        
+        setValue('tempoInput', this.tempo);
+        setValue('rpmLockSelect', DRYER_RPM_LOCKS.findIndex(option => option.value === this.rpmLock));
+        
+        setChecked('quantizeToggle', this.quantizer.enabled);
+        setValue('quantizeGrid', this.quantizer.gridIndex);
+        [['quantizeStrength', 'strength'], ['quantizeSwing', 'swing'], ['quantizeHumanize', 'humanize']].forEach(([id, key]) => {
+            setValue(id, this.quantizer[key]);
+            const label = document.getElementById(`${id}Value`);
+            if (label) label.textContent = `${this.quantizer[key]}%`;
+        });
+        
+        setValue('midiChannelMode', this.audio.channelMode);
+        setValue('midiChannelSelect', this.audio.midiChannel);
+        document.querySelectorAll('[data-surface-channel]').forEach(select => {
+            select.value = this.audio.surfaceChannels[select.dataset.surfaceChannel];
+        });
+        setValue('gateInput', Math.round(this.audio.gateTime * 1000));
+        setChecked('gateVelocityToggle', this.audio.gateFollowsVelocity);
+        setValue('scrapeModeSelect', this.audio.scrapeMode);
+        setValue('scrapeCCInput', this.audio.scrapeCC);
+        this.updateChannelControls();
+        this.updateModulationControls();
+        this.updateVoiceControls();
+        this.updateMixerControls();
+    }
+    
+    initPatchControls() {
+        const patchSelect = document.getElementById('patchSelect');
+        const savePatchBtn = document.getElementById('savePatchBtn');
+        const deletePatchBtn = document.getElementById('deletePatchBtn');
+        const exportPatchBtn = document.getElementById('exportPatchBtn');
+        const importPatchBtn = document.getElementById('importPatchBtn');
+        const importPatchInput = document.getElementById('importPatchInput');
+        const sharePatchBtn = document.getElementById('sharePatchBtn');
+        
+        if (patchSelect) {
+            // Option values: 'factory:<index>' or 'user:<name>'
+            patchSelect.addEventListener('change', (e) => {
+                const [kind, key] = e.target.value.split(/:(.*)/);
+                if (kind === 'factory') {
+                    const preset = DRYER_FACTORY_PRESETS[parseInt(key)];
+                    this.applyPatch(DryerPatchLibrary.merge(this.defaultPatch, preset));
+                } else if (kind === 'user') {
+                    const patch = this.patches.load(key);
+                    if (patch) this.applyPatch(patch);
+                }
+                this.updatePatchButtons();
+            });
+        }
+        
+        if (savePatchBtn) {
+            savePatchBtn.addEventListener('click', () => {
+                const current = this.getSelectedUserPatch();
+                const name = prompt('Save patch as:', current || '');
+                if (!name || !name.trim()) return;
+                
+                if (!this.patches.save(name.trim(), this.getPatch(name.trim()))) {
+                    alert('Could not save - browser storage is not available. Use Export to keep the patch as a file.');
+                    return;
+                }
+                this.updatePatchList(`user:${name.trim()}`);
+            });
+        }
+        
+        if (deletePatchBtn) {
+            deletePatchBtn.addEventListener('click', () => {
+                const name = this.getSelectedUserPatch();
+                if (!name || !confirm(`Delete patch "${name}"?`)) return;
+                this.patches.remove(name);
+                this.updatePatchList('');
+            });
+        }
+        
+        if (exportPatchBtn) {
+            exportPatchBtn.addEventListener('click', () => {
+                const name = this.getSelectedUserPatch() || `seed${this.physics.seed}`;
+                this.patches.download(this.getPatch(name), `dryer-${name}.json`);
+            });
+        }
+        
+        if (importPatchBtn && importPatchInput) {
+            importPatchBtn.addEventListener('click', () => importPatchInput.click());
+            importPatchInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = ''; // allow importing the same file again
+                if (!file) return;
+                
+                try {
+                    this.applyPatch(await this.patches.readFile(file));
+                } catch (err) {
+                    alert(`Could not import ${file.name}: ${err.message}`);
+                }
+            });
+        }
+        
+        if (sharePatchBtn) {
+            sharePatchBtn.addEventListener('click', async () => {
+                const url = this.patches.getShareURL(this.getPatch(this.getSelectedUserPatch() || 'Shared'));
+                history.replaceState(null, '', url);
+                
+                try {
+                    await navigator.clipboard.writeText(url);
+                    alert('Patch link copied to the clipboard.');
+                } catch (e) {
+                    prompt('Copy this link to share the patch:', url);
+                }
+            });
+        }
+        
+        this.updatePatchList('');
+    }
+    
+    getSelectedUserPatch() {
+        const patchSelect = document.getElementById('patchSelect');
+        return patchSelect && patchSelect.value.startsWith('user:') ? patchSelect.value.slice('user:'.length) : null;
+    }
+    
+    // Rebuild the patch dropdown: factory presets, then the saved slots
+    updatePatchList(selected) {
+        const patchSelect = document.getElementById('patchSelect');
+        if (!patchSelect) return;
+        
+        patchSelect.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '— Load patch —';
+        patchSelect.appendChild(placeholder);
+        
+        const groups = [
+            { label: 'Factory', options: DRYER_FACTORY_PRESETS.map((preset, i) => ({ value: `factory:${i}`, label: preset.name })) },
+            { label: 'Saved', options: this.patches.list().map(name => ({ value: `user:${name}`, label: name })) }
+        ];
+        
+        groups.forEach(group => {
+            if (group.options.length === 0) return;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.label;
+                optgroup.appendChild(option);
+            });
+            patchSelect.appendChild(optgroup);
+        });
+        
+        patchSelect.value = selected;
+        this.updatePatchButtons();
+    }
+    
+    updatePatchButtons() {
+        const deletePatchBtn = document.getElementById('deletePatchBtn');
+        if (deletePatchBtn) deletePatchBtn.disabled = !this.getSelectedUserPatch();
+    }
+    
+    // Re-derive the surface notes and refresh the note table to match
+    assignNotes() {
+        this.audio.assignNotesToSurfaces(this.physics.surfaces);
+        this.updateNoteTable();
+    }
+    
+    // Same seed + same parameters = same hit sequence from the next start
+    setSeed(seed) {
+        this.physics.setSeed(seed);
+        this.audio.setSeed(seed);
+        this.modulation.setSeed(seed);
+        this.assignNotes();
+        if (!this.isRunning) {
+            this.ui.render(this.physics);
+        }
+    }
+    
+    onBallsChanged() {
+        this.updateBallList();
+        if (!this.isRunning) {
+            this.physics.reset();
+            this.ui.render(this.physics);
+        }
+    }
+    
+    updateBallList() {
+        const ballList = document.getElementById('ballList');
+        if (!ballList) return;
+        
+        const icons = { tennis: '🎾', sandbag: '🏋️', balloon: '🎈' };
+        ballList.textContent = this.physics.balls.map(ball => icons[ball.type] || '⚪').join(' ');
+        this.updateLabControls();
+    }
+    
     updateMIDIStatus() {
         const statusElement = document.getElementById('midiStatus');
         const statusText = statusElement.querySelector('.midi-status-text');
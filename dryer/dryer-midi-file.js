@@ -0,0 +1,211 @@
+/**
+ * Dryer MIDI Recorder
+ * Captures collision notes with timestamps and builds Standard MIDI Files
+ * (Type 0 or Type 1) entirely in the browser - no network involved.
+ */
+
+// Track layouts offered by the export dropdown
+const MIDI_EXPORT_MODES = [
+    { value: 'single',  label: 'Single Track (Type 0)' },
+    { value: 'surface', label: 'Track per Surface Type' },
+    { value: 'ball',    label: 'Track per Ball' },
+];
+
+const SURFACE_TRACK_NAMES = {
+    drum: 'Drum',
+    vane_leading: 'Vane Leading',
+    vane_trailing: 'Vane Trailing',
+    ball: 'Ball on Ball'
+};
+
+class DryerMidiRecorder {
+    constructor() {
+        this.armed = false;
+        this.isRecording = false;
+        this.events = [];
+        this.startTime = 0; // sim time at which the current take began
+        this.ppq = 480;     // ticks per quarter note
+        this.bpm = 120;     // tempo written to the file (seconds → beats)
+    }
+
+    arm(enabled) {
+        this.armed = enabled;
+        if (!enabled) this.isRecording = false;
+    }
+
+    // Start a fresh take - previous events are discarded, like re-arming a tape track
+    begin(time) {
+        if (!this.armed) return;
+        this.events = [];
+        this.startTime = time;
+        this.isRecording = true;
+    }
+
+    finish() {
+        this.isRecording = false;
+    }
+
+    // event: { time, note, velocity, channel, duration, surfaceType, ballId }
+    record(event) {
+        if (!this.isRecording || !event) return;
+        this.events.push({ ...event, time: event.time - this.startTime });
+    }
+
+    get hasEvents() {
+        return this.events.length > 0;
+    }
+
+    setTempo(bpm) {
+        this.bpm = bpm;
+    }
+
+    secondsToTicks(seconds) {
+        return Math.max(0, Math.round(seconds * (this.bpm / 60) * this.ppq));
+    }
+
+    // Group events into named tracks according to the export mode
+    splitTracks(mode) {
+        if (mode === 'single') {
+            return [{ name: 'Dryer', events: this.events }];
+        }
+
+        const groups = new Map();
+        this.events.forEach(event => {
+            const key = mode === 'ball' ? event.ballId : event.surfaceType;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(event);
+        });
+
+        return Array.from(groups.keys())
+            .sort((a, b) => (a > b ? 1 : a < b ? -1 : 0))
+            .map(key => ({
+                name: mode === 'ball' ? `Ball ${key + 1}` : (SURFACE_TRACK_NAMES[key] || key),
+                events: groups.get(key)
+            }));
+    }
+
+    buildFile(mode = 'surface') {
+        const tempoEvents = this.buildTempoEvents();
+        const chunks = [];
+
+        if (mode === 'single') {
+            // Type 0: tempo and every note share one track
+            const track = this.splitTracks('single')[0];
+            chunks.push(this.buildTrackChunk([...tempoEvents, ...this.buildNoteEvents(track)]));
+        } else {
+            // Type 1: conductor track first, then one track per group
+            chunks.push(this.buildTrackChunk([this.metaText(0, 0x03, 'Dryer'), ...tempoEvents]));
+            this.splitTracks(mode).forEach(track => {
+                chunks.push(this.buildTrackChunk(this.buildNoteEvents(track)));
+            });
+        }
+
+        const format = mode === 'single' ? 0 : 1;
+        const header = [
+            ...this.ascii('MThd'),
+            ...this.uint32(6),
+            ...this.uint16(format),
+            ...this.uint16(chunks.length),
+            ...this.uint16(this.ppq)
+        ];
+
+        const bytes = header.concat(...chunks);
+        return new Uint8Array(bytes);
+    }
+
+    buildTempoEvents() {
+        const microsPerQuarter = Math.round(60000000 / this.bpm);
+        return [
+            { tick: 0, order: 0, bytes: [0xFF, 0x51, 0x03, (microsPerQuarter >> 16) & 0xFF, (microsPerQuarter >> 8) & 0xFF, microsPerQuarter & 0xFF] },
+            { tick: 0, order: 0, bytes: [0xFF, 0x58, 0x04, 4, 2, 24, 8] } // 4/4
+        ];
+    }
+
+    buildNoteEvents(track) {
+        const events = [this.metaText(0, 0x03, track.name)];
+
+        const notes = track.events.map(event => {
+            const startTick = this.secondsToTicks(event.time);
+            return {
+                channel: (event.channel || 0) & 0x0F,
+                note: event.note & 0x7F,
+                velocity: Math.max(1, event.velocity & 0x7F),
+                startTick: startTick,
+                endTick: Math.max(startTick + 1, this.secondsToTicks(event.time + (event.duration || 0.1)))
+            };
+        }).sort((a, b) => a.startTick - b.startTick || b.velocity - a.velocity);
+
+        // A note-off ends every sounding copy of its note on that channel, so overlapping hits on the
+        // same note would cut the later one short: end each at the next one's start instead. Hits on
+        // the same tick play once, at the loudest velocity (sorted first).
+        const previous = new Map(); // 'channel:note' -> the last note kept
+        notes.forEach(note => {
+            const key = `${note.channel}:${note.note}`;
+            const last = previous.get(key);
+            if (last && last.startTick === note.startTick) return;
+            if (last && last.endTick > note.startTick) last.endTick = note.startTick;
+            previous.set(key, note);
+            note.kept = true;
+        });
+
+        notes.filter(note => note.kept).forEach(note => {
+            // order: note-offs sort before note-ons on the same tick so repeated notes don't swallow each other
+            events.push({ tick: note.startTick, order: 2, bytes: [0x90 | note.channel, note.note, note.velocity] });
+            events.push({ tick: note.endTick, order: 1, bytes: [0x80 | note.channel, note.note, 0] });
+        });
+
+        return events;
+    }
+
+    buildTrackChunk(events) {
+        const sorted = events.slice().sort((a, b) => a.tick - b.tick || a.order - b.order);
+        const data = [];
+        let lastTick = 0;
+
+        sorted.forEach(event => {
+            data.push(...this.varLength(event.tick - lastTick), ...event.bytes);
+            lastTick = event.tick;
+        });
+
+        // End of track
+        data.push(0x00, 0xFF, 0x2F, 0x00);
+
+        return [...this.ascii('MTrk'), ...this.uint32(data.length), ...data];
+    }
+
+    metaText(tick, type, text) {
+        const bytes = this.ascii(text);
+        return { tick, order: 0, bytes: [0xFF, type, ...this.varLength(bytes.length), ...bytes] };
+    }
+
+    // MIDI variable-length quantity: 7 bits per byte, high bit set on all but the last
+    varLength(value) {
+        const bytes = [value & 0x7F];
+        value >>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+            value >>= 7;
+        }
+        return bytes;
+    }
+
+    uint32(value) {
+        return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    }
+
+    uint16(value) {
+        return [(value >> 8) & 0xFF, value & 0xFF];
+    }
+
+    ascii(text) {
+        return Array.from(String(text), ch => ch.charCodeAt(0) & 0x7F);
+    }
+
+    download(mode, filename) {
+        downloadFile(this.buildFile(mode), 'audio/midi', filename);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DryerMidiRecorder, MIDI_EXPORT_MODES };
+}
@@ -0,0 +1,131 @@
+/**
+ * Dryer MIDI Learn
+ * Binds incoming MIDI CCs to knobs and toggles. Pick a control in learn mode,
+ * move a hardware controller, and that CC drives the control from then on.
+ */
+
+const DRYER_MIDI_LEARN_STORAGE_KEY = 'dryer.midiLearn';
+const MIDI_CONTROL_CHANGE = 0xB0;
+
+class DryerMidiLearn {
+    constructor(storage = DryerPatchLibrary.getStorage()) {
+        this.storage = storage;
+        this.inputs = [];
+        this.bindings = new Map(); // 'channel:cc' -> target id, e.g. 'knob:rpm' or 'toggle:lintTrapToggle'
+        this.learnMode = false;
+        this.learnTarget = null;   // target waiting for a CC while in learn mode
+
+        // Callbacks (set by DryerApp)
+        this.onControl = null;     // (target, value 0-127)
+        this.onLearn = null;       // (target, key) after a new binding is made
+
+        this.handleMessage = this.handleMessage.bind(this);
+        this.load();
+    }
+
+    // Listen on every MIDI input, so the controller can be a different device from the clock source
+    listen(inputs) {
+        this.inputs.forEach(input => input.removeEventListener('midimessage', this.handleMessage));
+        this.inputs = inputs;
+        this.inputs.forEach(input => input.addEventListener('midimessage', this.handleMessage));
+    }
+
+    setLearnMode(enabled) {
+        this.learnMode = enabled;
+        this.learnTarget = null;
+    }
+
+    selectTarget(target) {
+        this.learnTarget = target;
+    }
+
+    handleMessage(event) {
+        const [status, cc, value] = event.data;
+        if ((status & 0xF0) !== MIDI_CONTROL_CHANGE) return;
+
+        const key = `${status & 0x0F}:${cc}`;
+
+        if (this.learnMode && this.learnTarget) {
+            this.bind(key, this.learnTarget);
+            if (this.onLearn) this.onLearn(this.learnTarget, key);
+            this.learnTarget = null;
+            return;
+        }
+
+        const target = this.bindings.get(key);
+        if (target && this.onControl) {
+            this.onControl(target, value);
+        }
+    }
+
+    // One CC per target: re-learning a control replaces its old binding
+    bind(key, target) {
+        this.unbind(target);
+        this.bindings.set(key, target);
+        this.save();
+    }
+
+    unbind(target) {
+        this.bindings.forEach((bound, key) => {
+            if (bound === target) this.bindings.delete(key);
+        });
+        this.save();
+    }
+
+    clear() {
+        this.bindings.clear();
+        this.save();
+    }
+
+    getBinding(target) {
+        for (const [key, bound] of this.bindings) {
+            if (bound === target) return key;
+        }
+        return null;
+    }
+
+    // Human-readable binding, e.g. 'CC 74 · Ch 1'
+    describe(key) {
+        const [channel, cc] = key.split(':').map(Number);
+        return `CC ${cc} · Ch ${channel + 1}`;
+    }
+
+    // =====================================================================
+    // PERSISTENCE - localStorage plus JSON export/import
+    // =====================================================================
+
+    toJSON() {
+        return { type: 'dryer-midi-learn', version: 1, bindings: Object.fromEntries(this.bindings) };
+    }
+
+    fromJSON(data) {
+        if (!data || data.type !== 'dryer-midi-learn' || typeof data.bindings !== 'object') {
+            throw new Error('Not a Dryer MIDI mapping file');
+        }
+        this.bindings = new Map(Object.entries(data.bindings));
+        this.save();
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(DRYER_MIDI_LEARN_STORAGE_KEY));
+            if (saved) this.fromJSON(saved);
+        } catch (e) {
+            console.log('Ignoring unreadable MIDI mappings:', e);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(DRYER_MIDI_LEARN_STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.log('Could not save MIDI mappings:', e);
+        }
+    }
+
+    download(filename) {
+        downloadFile(JSON.stringify(this.toJSON(), null, 2), 'application/json', filename);
+    }
+}
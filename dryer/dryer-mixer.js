@@ -0,0 +1,199 @@
+/**
+ * Dryer Mixer
+ * Master output stage for the Web Audio voices: gain and pan per surface type
+ * (with each hit placed in the stereo field by where it happens in the drum),
+ * a convolution reverb that sounds like the inside of the drum, and a limiter.
+ */
+
+const DRYER_MIXER_STRIPS = [
+    { type: 'drum',          label: 'Drum' },
+    { type: 'vane_leading',  label: 'Vane Lead' },
+    { type: 'vane_trailing', label: 'Vane Trail' },
+    { type: 'ball',          label: 'Ball' },      // ball-on-ball hits
+];
+
+const SPEED_OF_SOUND = 343; // m/s, for the drum's wall-to-wall echoes
+
+// Fixed seed for the impulse response noise, so live playback and bounces get the same room
+const REVERB_IMPULSE_SEED = 0x5EED;
+
+class DryerMixer {
+    constructor() {
+        this.strips = {};
+        DRYER_MIXER_STRIPS.forEach(strip => {
+            this.strips[strip.type] = { gain: 1, pan: 0 }; // gain 0-1.5, pan -1 (left) to 1 (right)
+        });
+        this.panSpread = 0.6;  // how far the hit angle swings the pan (0 = strip pan only)
+        this.reverbMix = 0.25; // wet level 0-1; the dry level falls as it rises
+        this.limiterEnabled = true;
+        this.roomRadius = 0.8; // meters - follows drumRadius
+
+        this.bus = null; // the live bus, which follows control changes (offline buses are built once)
+    }
+
+    // =====================================================================
+    // BUS GRAPH
+    // strips[type] -> input -> dry --------> limiter -> output -> destination
+    //                       -> reverb -> wet /
+    // =====================================================================
+
+    createBus(ctx) {
+        const bus = { ctx: ctx, strips: {} };
+
+        bus.input = ctx.createGain();
+        bus.dry = ctx.createGain();
+        bus.wet = ctx.createGain();
+        bus.reverb = ctx.createConvolver();
+        bus.limiter = ctx.createDynamicsCompressor();
+        bus.output = ctx.createGain();
+
+        DRYER_MIXER_STRIPS.forEach(({ type }) => {
+            bus.strips[type] = ctx.createGain();
+            bus.strips[type].connect(bus.input);
+        });
+
+        bus.input.connect(bus.dry);
+        bus.input.connect(bus.reverb);
+        bus.reverb.connect(bus.wet);
+        bus.dry.connect(bus.limiter);
+        bus.wet.connect(bus.limiter);
+        bus.limiter.connect(bus.output);
+        bus.output.connect(ctx.destination);
+
+        bus.reverb.buffer = this.createImpulse(ctx, this.roomRadius);
+        bus.radius = this.roomRadius;
+        this.updateBus(bus);
+        return bus;
+    }
+
+    // Push the current settings into a bus's nodes
+    updateBus(bus) {
+        const now = bus.ctx.currentTime;
+
+        DRYER_MIXER_STRIPS.forEach(({ type }) => {
+            bus.strips[type].gain.setValueAtTime(this.strips[type].gain, now);
+        });
+
+        // Equal-power crossfade (dry² + wet² = 1), so turning up the reverb doesn't just make everything louder
+        bus.dry.gain.setValueAtTime(Math.cos(this.reverbMix * Math.PI / 2), now);
+        bus.wet.gain.setValueAtTime(Math.sin(this.reverbMix * Math.PI / 2), now);
+
+        // Disabled = ratio 1, which passes the signal through untouched
+        bus.limiter.threshold.setValueAtTime(this.limiterEnabled ? -6 : 0, now);
+        bus.limiter.knee.setValueAtTime(0, now);
+        bus.limiter.ratio.setValueAtTime(this.limiterEnabled ? 20 : 1, now);
+        bus.limiter.attack.setValueAtTime(0.002, now);
+        bus.limiter.release.setValueAtTime(0.15, now);
+    }
+
+    // Entry point for one hit: a panner at the hit's stereo position (see getPan), feeding its surface type's strip
+    createNoteInput(bus, surfaceType, when, pan) {
+        const panner = bus.ctx.createStereoPanner();
+        panner.pan.setValueAtTime(pan, when);
+        panner.connect(bus.strips[surfaceType] || bus.input);
+        return panner;
+    }
+
+    // angle: where the hit happened (lab frame, radians, 0 = right of the drum, PI/2 = top)
+    getPan(surfaceType, angle) {
+        const strip = this.strips[surfaceType] || { pan: 0 };
+        const position = angle === undefined ? 0 : Math.cos(angle);
+        return Math.max(-1, Math.min(1, strip.pan + this.panSpread * position));
+    }
+
+    /**
+     * Procedural impulse response for a metal drum of the given radius: a noise tail
+     * whose length grows with the drum, plus flutter echoes at the wall-to-wall
+     * round trip time that give it the hollow, metallic ring.
+     */
+    createImpulse(ctx, radius) {
+        const sampleRate = ctx.sampleRate;
+        const decay = 0.3 + radius * 1.5;            // seconds to -60 dB
+        const flutter = 2 * radius / SPEED_OF_SOUND;  // seconds between echoes
+        const length = Math.ceil(sampleRate * decay);
+        const buffer = ctx.createBuffer(2, length, sampleRate);
+        const random = new DryerRandom(REVERB_IMPULSE_SEED);
+
+        for (let ch = 0; ch < 2; ch++) {
+            const data = buffer.getChannelData(ch);
+
+            // Diffuse tail: exp(-6.9) = -60 dB at the end of the decay
+            for (let i = 0; i < length; i++) {
+                data[i] = random.range(-1, 1) * 0.3 * Math.exp(-6.9 * i / length);
+            }
+
+            // Flutter echoes die away twice as fast as the tail; jitter keeps left and right apart
+            for (let t = flutter; t < decay; t += flutter) {
+                const i = Math.floor((t + random.range(0, flutter * 0.2)) * sampleRate);
+                if (i < length) data[i] += random.range(0.5, 1) * Math.exp(-13.8 * t / decay);
+            }
+        }
+
+        return buffer;
+    }
+
+    // =====================================================================
+    // CONTROLS - each one updates the live bus straight away
+    // =====================================================================
+
+    setStrip(surfaceType, gain, pan) {
+        const strip = this.strips[surfaceType];
+        if (!strip) return;
+        strip.gain = Math.max(0, Math.min(1.5, gain));
+        strip.pan = Math.max(-1, Math.min(1, pan));
+        if (this.bus) this.updateBus(this.bus);
+    }
+
+    setPanSpread(spread) {
+        this.panSpread = Math.max(0, Math.min(1, spread));
+    }
+
+    setReverbMix(mix) {
+        this.reverbMix = Math.max(0, Math.min(1, mix));
+        if (this.bus) this.updateBus(this.bus);
+    }
+
+    setLimiter(enabled) {
+        this.limiterEnabled = enabled;
+        if (this.bus) this.updateBus(this.bus);
+    }
+
+    // The reverb is sized to the drum; the impulse is only rebuilt when the size really changes
+    setRoomSize(radius) {
+        this.roomRadius = radius;
+        if (this.bus && Math.abs(this.bus.radius - radius) >= 0.01) {
+            this.bus.reverb.buffer = this.createImpulse(this.bus.ctx, radius);
+            this.bus.radius = radius;
+        }
+    }
+
+    getConfig() {
+        const strips = {};
+        DRYER_MIXER_STRIPS.forEach(({ type }) => {
+            strips[type] = { ...this.strips[type] };
+        });
+
+        return {
+            strips: strips,
+            panSpread: this.panSpread,
+            reverb: this.reverbMix,
+            limiter: this.limiterEnabled
+        };
+    }
+
+    // Patch values are untrusted: anything that isn't a number keeps the current setting,
+    // so setValueAtTime never sees a NaN
+    applyConfig(config) {
+        const next = { ...this.getConfig(), ...config };
+        const finite = (value, fallback) => Number.isFinite(value) ? value : fallback;
+
+        DRYER_MIXER_STRIPS.forEach(({ type }) => {
+            const current = this.strips[type];
+            const strip = { ...(next.strips || {})[type] };
+            this.setStrip(type, finite(strip.gain, current.gain), finite(strip.pan, current.pan));
+        });
+        this.setPanSpread(finite(next.panSpread, this.panSpread));
+        this.setReverbMix(finite(next.reverb, this.reverbMix));
+        this.setLimiter(!!next.limiter);
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * Dryer Modulation
+ * Assignable LFOs and random walks that move the drum parameters over time,
+ * so long generative runs keep evolving without anyone touching a knob.
+ *
+ * Everything runs on simulation time with seeded randomness, so a seed still
+ * reproduces the same run (modulation included).
+ */
+
+const DRYER_MOD_SHAPES = [
+    { value: 'sine',     label: 'Sine' },
+    { value: 'triangle', label: 'Triangle' },
+    { value: 'sh',       label: 'S&H' },
+    { value: 'walk',     label: 'Random Walk' },
+];
+
+// knob: the UI knob whose range scales the depth; restitution has no knob and scales bounce instead
+const DRYER_MOD_TARGETS = [
+    { value: 'rpm',         label: 'RPM',         knob: 'rpm' },
+    { value: 'drumSize',    label: 'Drum Size',   knob: 'drumSize' },
+    { value: 'vaneHeight',  label: 'Vane Height', knob: 'vaneHeight' },
+    { value: 'restitution', label: 'Bounce' },
+];
+
+// Tempo-synced rates as beats per cycle (0 = free-running, rate in Hz)
+const DRYER_MOD_SYNC_RATES = [
+    { label: 'Hz',      beats: 0 },
+    { label: '8 bars',  beats: 32 },
+    { label: '4 bars',  beats: 16 },
+    { label: '2 bars',  beats: 8 },
+    { label: '1 bar',   beats: 4 },
+    { label: '1/2',     beats: 2 },
+    { label: '1/4',     beats: 1 },
+];
+
+// Random walk steps per cycle - more steps = smoother, less jumpy wander
+const MOD_WALK_STEPS = 8;
+
+class DryerModulator {
+    constructor(index) {
+        this.index = index;
+        this.target = null;  // DRYER_MOD_TARGETS value, null = off
+        this.shape = 'sine';
+        this.rate = 0.1;     // Hz when free-running
+        this.syncBeats = 0;  // beats per cycle when tempo-synced (0 = use rate)
+        this.depth = 25;     // % of the target's range (±)
+
+        this.random = new DryerRandom(1);
+        this.reset(1);
+    }
+
+    // Restart from time 0 - each modulator gets its own stream derived from the seed
+    reset(seed) {
+        this.random.setSeed((seed + 0x9E3779B9 * (this.index + 1)) >>> 0);
+        this.stepIndex = -1;
+        this.held = [0, 0];
+    }
+
+    getFrequency(bpm) {
+        return this.syncBeats > 0 ? bpm / 60 / this.syncBeats : this.rate;
+    }
+
+    // Output in -1..1 at the given simulation time
+    getValue(time, bpm) {
+        const cycles = time * this.getFrequency(bpm);
+        const phase = cycles - Math.floor(cycles);
+
+        switch (this.shape) {
+            case 'sine':
+                return Math.sin(2 * Math.PI * phase);
+            case 'triangle':
+                return 1 - 4 * Math.abs(phase - 0.5);
+            case 'sh': {
+                this.advanceSteps(Math.floor(cycles), () => this.random.range(-1, 1));
+                return this.held[1];
+            }
+            case 'walk': {
+                const steps = cycles * MOD_WALK_STEPS;
+                this.advanceSteps(Math.floor(steps), (previous) => {
+                    // Step a little way, bouncing off the ends of the range
+                    const next = previous + this.random.range(-0.5, 0.5);
+                    return next > 1 ? 2 - next : next < -1 ? -2 - next : next;
+                });
+                // Glide between steps instead of jumping
+                const frac = steps - Math.floor(steps);
+                return this.held[0] + (this.held[1] - this.held[0]) * frac;
+            }
+        }
+        return 0;
+    }
+
+    // Draw one random value per step crossed, so the sequence doesn't depend on how often we're called
+    advanceSteps(index, nextValue) {
+        while (this.stepIndex < index) {
+            this.held = [this.held[1], nextValue(this.held[1])];
+            this.stepIndex++;
+        }
+    }
+}
+
+class DryerModulation {
+    constructor(count = 3) {
+        this.modulators = Array.from({ length: count }, (_, i) => new DryerModulator(i));
+        this.seed = 1;
+        this.lastTime = 0;
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.reset();
+    }
+
+    reset() {
+        this.modulators.forEach(mod => mod.reset(this.seed));
+        this.lastTime = 0;
+    }
+
+    get isActive() {
+        return this.modulators.some(mod => mod.target && mod.depth > 0);
+    }
+
+    // Summed modulation per target, each in -1..1 × depth (so ±1 = the whole range)
+    getOffsets(time, bpm) {
+        // Time went backwards: the physics was reset, so replay the random streams from the start
+        if (time < this.lastTime) this.reset();
+        this.lastTime = time;
+
+        const offsets = {};
+        this.modulators.forEach(mod => {
+            if (!mod.target) return;
+            const value = mod.getValue(time, bpm) * (mod.depth / 100);
+            offsets[mod.target] = (offsets[mod.target] || 0) + value;
+        });
+        return offsets;
+    }
+
+    // Base knob values + offsets, clamped to each knob's range
+    apply(params, offsets, knobs) {
+        const result = { ...params };
+        DRYER_MOD_TARGETS.forEach(target => {
+            if (!target.knob || !offsets[target.value]) return;
+            const knob = knobs[target.knob];
+            const value = params[target.value] + offsets[target.value] * (knob.max - knob.min) / 2;
+            result[target.value] = Math.max(knob.min, Math.min(knob.max, value));
+        });
+        return result;
+    }
+
+    getConfig() {
+        return this.modulators.map(mod => ({
+            target: mod.target,
+            shape: mod.shape,
+            rate: mod.rate,
+            sync: DRYER_MOD_SYNC_RATES.find(rate => rate.beats === mod.syncBeats).label,
+            depth: mod.depth
+        }));
+    }
+
+    applyConfig(config) {
+        this.modulators.forEach((mod, i) => {
+            const slot = config[i] || {};
+            const sync = DRYER_MOD_SYNC_RATES.find(rate => rate.label === slot.sync);
+            mod.target = DRYER_MOD_TARGETS.some(target => target.value === slot.target) ? slot.target : null;
+            mod.shape = DRYER_MOD_SHAPES.some(shape => shape.value === slot.shape) ? slot.shape : 'sine';
+            mod.rate = slot.rate > 0 ? slot.rate : 0.1;
+            mod.syncBeats = sync ? sync.beats : 0;
+            mod.depth = slot.depth >= 0 ? slot.depth : 25;
+        });
+        this.reset();
+    }
+}
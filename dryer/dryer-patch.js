@@ -0,0 +1,201 @@
+/**
+ * Dryer Patches
+ * Serializable snapshots of the whole setup: named save slots in localStorage,
+ * JSON export/import, shareable URL hashes and the factory preset library.
+ */
+
+const DRYER_PATCH_VERSION = 1;
+const DRYER_PATCH_STORAGE_KEY = 'dryer.patches';
+const DRYER_PATCH_HASH_PREFIX = '#patch=';
+
+// Factory presets only list what differs from the startup state - DryerPatchLibrary.merge fills in the rest
+const DRYER_FACTORY_PRESETS = [
+    {
+        name: 'Init',
+    },
+    {
+        name: 'Tumble Kit',
+        physics: { rpm: 14, vanes: 3, vaneHeight: 40, balls: ['tennis', 'sandbag'], seed: 7 },
+        scale: 'GM Drum Kit',
+        quantizer: { enabled: true, grid: '1/16', strength: 100 },
+        tempo: 96
+    },
+    {
+        name: 'Swing Shuffle',
+        physics: { rpm: 22, vanes: 5, vaneHeight: 35, balls: ['tennis', 'tennis'], seed: 31 },
+        scale: 'GM Drum Kit',
+        quantizer: { enabled: true, grid: '1/8', strength: 90, swing: 60, humanize: 15 },
+        tempo: 104
+    },
+    {
+        name: 'Balloon Drift',
+        physics: { rpm: 26, drumSize: 75, vanes: 2, vaneHeight: 20, balls: ['balloon', 'balloon'], seed: 12 },
+        scale: 'Pentatonic Minor',
+        audio: { rootNote: 9, octave: 3, scatter: true }
+    },
+    {
+        name: 'Sandbag Thud',
+        physics: { rpm: 32, drumSize: 50, vanes: 6, vaneHeight: 45, balls: ['sandbag'], seed: 3 },
+        scale: 'Blues',
+        audio: { rootNote: 4, octave: 1 }
+    },
+    {
+        name: 'Moon Bounce',
+        physics: { rpm: 8, vanes: 4, vaneHeight: 25, balls: ['tennis', 'tennis', 'tennis'], moonGravity: true, seed: 21 },
+        scale: 'Whole Tone',
+        audio: { octave: 2 }
+    },
+    {
+        name: 'Lint Trap Groove',
+        physics: { vanes: 4, vaneHeight: 30, balls: ['tennis', 'sandbag'], lintTrap: true, seed: 55 },
+        scale: 'GM Drum Kit',
+        quantizer: { enabled: true, grid: '1/16', strength: 80, humanize: 20 },
+        tempo: 110,
+        rpmLock: '1 rev / bar'
+    },
+    {
+        name: 'Slow Evolve',
+        physics: { rpm: 16, vanes: 5, balls: ['tennis', 'balloon'], seed: 77 },
+        scale: 'Dorian',
+        audio: { rootNote: 2, octave: 2 },
+        modulation: [
+            { target: 'rpm', shape: 'walk', sync: '8 bars', depth: 30 },
+            { target: 'vaneHeight', shape: 'sine', sync: '4 bars', depth: 40 },
+            { target: 'restitution', shape: 'sh', sync: '1 bar', depth: 20 }
+        ],
+        tempo: 90
+    },
+];
+
+class DryerPatchLibrary {
+    constructor(storage = DryerPatchLibrary.getStorage()) {
+        this.storage = storage; // null when localStorage is blocked (private mode, file://)
+    }
+
+    static getStorage() {
+        try {
+            return window.localStorage;
+        } catch (e) {
+            console.log('Patch storage not available:', e);
+            return null;
+        }
+    }
+
+    // Sections are merged one level deep so a partial patch keeps the other settings in a section
+    static merge(base, patch) {
+        const merged = { ...base, ...patch };
+        ['physics', 'audio', 'quantizer'].forEach(section => {
+            merged[section] = { ...base[section], ...patch[section] };
+        });
+        return merged;
+    }
+
+    // =====================================================================
+    // SAVE SLOTS - stored together as one JSON object keyed by patch name
+    // =====================================================================
+
+    readSlots() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(DRYER_PATCH_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.log('Ignoring unreadable saved patches:', e);
+            return {};
+        }
+    }
+
+    writeSlots(slots) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(DRYER_PATCH_STORAGE_KEY, JSON.stringify(slots));
+            return true;
+        } catch (e) {
+            console.log('Could not save patches:', e);
+            return false;
+        }
+    }
+
+    list() {
+        return Object.keys(this.readSlots()).sort();
+    }
+
+    save(name, patch) {
+        const slots = this.readSlots();
+        slots[name] = { ...patch, name };
+        return this.writeSlots(slots);
+    }
+
+    load(name) {
+        return this.readSlots()[name] || null;
+    }
+
+    remove(name) {
+        const slots = this.readSlots();
+        delete slots[name];
+        return this.writeSlots(slots);
+    }
+
+    // =====================================================================
+    // JSON FILES AND URL SHARING
+    // =====================================================================
+
+    // Throws on anything that isn't a Dryer patch
+    parse(json) {
+        const patch = JSON.parse(json);
+        if (!patch || typeof patch !== 'object' || patch.version !== DRYER_PATCH_VERSION) {
+            throw new Error('Not a Dryer patch (or from an unsupported version)');
+        }
+        // Knob values are clamped when applied (see DryerPhysics.clampConfig)
+        ['physics', 'audio', 'quantizer'].forEach(section => {
+            if (patch[section] !== undefined && (!patch[section] || typeof patch[section] !== 'object' || Array.isArray(patch[section]))) {
+                throw new Error(`Broken patch: "${section}" is not a section`);
+            }
+        });
+        const balls = patch.physics && patch.physics.balls;
+        if (balls !== undefined && (!Array.isArray(balls) || balls.length === 0)) {
+            throw new Error('Broken patch: it needs at least one ball');
+        }
+        return patch;
+    }
+
+    download(patch, filename) {
+        downloadFile(JSON.stringify(patch, null, 2), 'application/json', filename);
+    }
+
+    async readFile(file) {
+        return this.parse(await file.text());
+    }
+
+    // URL-safe base64 of the UTF-8 JSON (patch names may contain any characters)
+    encode(patch) {
+        const bytes = new TextEncoder().encode(JSON.stringify(patch));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decode(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+        return this.parse(new TextDecoder().decode(bytes));
+    }
+
+    getShareURL(patch) {
+        const url = new URL(window.location.href);
+        url.hash = DRYER_PATCH_HASH_PREFIX + this.encode(patch);
+        return url.toString();
+    }
+
+    // Patch from the current URL hash, or null if there is none (or it is broken)
+    readHash() {
+        const hash = window.location.hash;
+        if (!hash.startsWith(DRYER_PATCH_HASH_PREFIX)) return null;
+
+        try {
+            return this.decode(hash.slice(DRYER_PATCH_HASH_PREFIX.length));
+        } catch (e) {
+            console.log('Ignoring broken patch link:', e);
+            return null;
+        }
+    }
+}
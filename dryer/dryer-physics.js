@@ -10,11 +10,127 @@
  * 1. CENTRIFUGAL FORCE: F = m*ω²*r (pushes outward from rotation axis)
  * 2. CORIOLIS FORCE: F = -2m(ω × v) (deflects moving objects perpendicular to motion)
  * 3. GRAVITY: Must be transformed to rotating frame
+ * 4. EULER FORCE: F = -m(dω/dt × r) (only while the drum speeds up, slows down or reverses)
  * 
  * The "internal wind" effect you're seeing is likely from MISSING CORIOLIS FORCE.
  * At high RPM, Coriolis becomes significant and affects trajectory realism.
+ *
+ * test/physics.test.js checks these signs against a throw worked out in the (non-rotating)
+ * lab frame: `node --test dryer/test/`
  */
 
+// Ball presets: physical properties for each selectable ball type.
+// Several balls (of mixed types) can share the drum - see DryerPhysics.addBall().
+// friction: Coulomb coefficient against the drum; inertia: I / (m r²) - 2/3 for a hollow shell, 2/5 for a solid ball
+const DRYER_BALL_PRESETS = {
+    tennis:  { label: 'Tennis Ball', radius: 0.035, mass: 0.058,   restitution: 0.75, dragCoeff: 0.55, friction: 0.6, inertia: 0.67 },
+    sandbag: { label: 'Sandbag',     radius: 0.05,  mass: 0.5,     restitution: 0.15, dragCoeff: 0.8,  friction: 0.8, inertia: 0.4 },  // 10cm diameter, 500g, low bounce, high drag
+    balloon: { label: 'Balloon',     radius: 0.13,  mass: 0.01228, restitution: 0.30, dragCoeff: 0.47, friction: 0.5, inertia: 0.67 }, // 13cm radius, 1g rubber + 11.28g air inside
+};
+
+// Allowed range of each ball property (SI units). Custom balls - from the Lab panel or a patch - are clamped to these.
+const DRYER_BALL_LIMITS = {
+    radius:      { min: 0.01,  max: 0.15 }, // m
+    mass:        { min: 0.001, max: 2 },    // kg
+    restitution: { min: 0,     max: 1 },
+    dragCoeff:   { min: 0,     max: 2 },
+    friction:    { min: 0,     max: 1.5 },
+    inertia:     { min: 0.2,   max: 1 },    // I / (m r²)
+};
+
+// Most balls the drum holds - addBall() refuses more, and longer lists in a config are cut short
+const DRYER_MAX_BALLS = 16;
+
+// Knob ranges (knob units, as in getConfig). The front panel knobs use these, and configs from
+// patches, share links and the command line are clamped to them.
+const DRYER_PARAMETER_LIMITS = {
+    rpm:        { min: 0,  max: 35 },
+    drumSize:   { min: 40, max: 80 }, // cm
+    vanes:      { min: 1,  max: 7 },
+    vaneHeight: { min: 10, max: 50 }, // % of the drum radius
+};
+
+// Drum outlines. drumRadius is the circle's radius, the polygon's corner radius
+// or the ellipse's long half-axis; aspect is the ellipse's short/long axis ratio.
+const DRYER_DRUM_SHAPES = [
+    { label: 'Round',    type: 'circle' },
+    { label: 'Square',   type: 'polygon', sides: 4 },
+    { label: 'Pentagon', type: 'polygon', sides: 5 },
+    { label: 'Hexagon',  type: 'polygon', sides: 6 },
+    { label: 'Octagon',  type: 'polygon', sides: 8 },
+    { label: 'Ellipse',  type: 'ellipse', aspect: 0.75 },
+];
+
+// Drum speed profiles: the RPM knob sets full speed, the profile scales it over time.
+// period = seconds per run (per curve step for Custom), pause = seconds stopped between runs
+const DRYER_SPEED_PROFILES = [
+    { value: 'constant', label: 'Constant' },
+    { value: 'reverse',  label: 'Reverse' },  // forward, pause, backward, pause
+    { value: 'pulse',    label: 'Pulse' },    // forward, pause
+    { value: 'custom',   label: 'Custom' },   // curve of % speeds, one per period, looped and interpolated
+];
+
+const MIN_RAMP_RPM = 1; // ramp rate floor, so a drum with the knob at 0 can still spin down
+
+// How each fixed step moves the balls: the integrator, and whether collisions are found by
+// sweeping the ball along its path (no tunneling through thin vanes) or by overlap after the move
+const DRYER_INTEGRATORS = [
+    { value: 'semi-implicit', label: 'Semi-implicit Euler' }, // 1 force evaluation per step
+    { value: 'verlet',        label: 'Velocity Verlet' },     // 2
+    { value: 'rk4',           label: 'RK4' },                 // 4
+];
+const DRYER_COLLISION_MODES = [
+    { value: 'swept',    label: 'Swept' },
+    { value: 'discrete', label: 'Discrete' },
+];
+const DRYER_SUBSTEP_OPTIONS = [1, 2, 4, 8, 16]; // most substeps per fixed step (1 = fixed step only)
+
+const SUBSTEP_TRAVEL = 0.5;   // adaptive substeps keep each ball's move under this many radii
+const MAX_SWEEP_BOUNCES = 4;  // swept hits handled per ball per (sub)step
+const SWEEP_SKIN = 1e-6;      // meters - a ball this close to a surface already counts as touching it
+
+const ELLIPSE_WALL_SEGMENTS = 96; // the ellipse wall collides as a closed polygon of this many sides
+const VANE_CURVE_SEGMENTS = 8;    // curved vanes collide as this many straight pieces
+const VANE_MAX_TILT = Math.PI / 3;
+
+// Contact model: approaches slower than RESTING_SPEED don't bounce (or make a note) - the ball
+// rests, rolls or slides instead. Contact ends after CONTACT_GRACE without touching the surface.
+const RESTING_SPEED = 0.1;     // m/s
+const CONTACT_GRACE = 0.02;    // seconds
+const SCRAPE_INTERVAL = 1 / 30; // seconds between scrape events while a ball rolls or slides
+
+// Fixed steps replayed per slice of a long fastForward (5 s of pattern) - a Song Position jump can
+// be half an hour in, far too much to replay in one go without freezing the page
+const FAST_FORWARD_SLICE = 1200;
+
+// Seedable pseudo-random generator (mulberry32).
+// The same seed always produces the same sequence, so a "seed + parameters" pair
+// reproduces an identical hit sequence. Use this instead of Math.random() anywhere
+// randomness can change the pattern.
+class DryerRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+    
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+}
+
 class DryerPhysics {
     constructor() {
         // Parameters (will be updated from UI)
@@ -23,34 +139,38 @@ class DryerPhysics {
         this.vaneCount = 5;
         this.vaneHeight = 0.30; // fraction of radius
         
-        // Ball properties - NOW CONFIGURABLE for testing!
-        this.ball = {
-            x: 0,
-            y: 0,
-            vx: 0,
-            vy: 0,
-            
-            // BALL SIZE: Affects collision detection and visual appearance
-            // Tennis ball: 0.035m, Racquetball: 0.028m, Baseball: 0.037m, Larger ball: 0.05m
-            radius: 0.035, // meters
-            
-            // BALL MASS: More mass = less affected by air drag and Coriolis
-            // Tennis ball: 0.058kg, Baseball: 0.145kg, Racquetball: 0.040kg, Heavy ball: 0.200kg
-            mass: 0.058, // kg
-            
-            // RESTITUTION: How "bouncy" the ball is (0 = no bounce, 1 = perfect bounce)
-            restitution: 0.75, // tennis ball is quite bouncy
-            
-            // DRAG COEFFICIENT: Sphere in turbulent air flow
-            // Smooth sphere: 0.47, Tennis ball (fuzzy): 0.55, Rough sphere: 0.8
-            dragCoeff: 0.55, // tennis ball has fuzzy surface
-            
-            // Cross-sectional area (calculated from radius)
-            get area() { return Math.PI * this.radius * this.radius; },
-
-            // Volume (calculated from radius)
-            get volume() { return (4/3) * Math.PI * Math.pow(this.radius, 3); }
-        };
+        // Geometry: drum outline plus per-vane overrides of the knob-driven layout.
+        // vaneShapes[i] = { angle, height, tilt, curve } - angle/height null = follow the knobs
+        // (even spacing, Vane Height knob); tilt leans the vane (radians), curve bends it (-1..1)
+        this.drumShape = DRYER_DRUM_SHAPES[0];
+        this.vaneShapes = [];
+        this.vanes = [];       // compiled vane geometry (see updateGeometry)
+        this.wallSegments = []; // non-round drums only
+        this.vaneOrder = [];   // vanes sorted by wall angle - the drum surfaces lie between them
+        
+        // Deterministic mode: all randomness comes from this seeded generator
+        this.seed = 1;
+        this.random = new DryerRandom(this.seed);
+        
+        // Fixed-timestep engine: wall-clock time is accumulated and consumed in
+        // identical steps, so the simulation never depends on frame timing
+        this.fixedTimeStep = 1 / 240; // seconds (4 steps × 60fps)
+        this.accumulator = 0;
+        
+        // Integration: fast balls get extra substeps inside the fixed step (chosen from the
+        // state, so still deterministic)
+        this.integrator = 'semi-implicit';
+        this.collisionMode = 'swept';
+        this.maxSubsteps = 4;
+        
+        // Step timing, when profiling is on (see getProfile)
+        this.profiling = false;
+        this.resetProfile();
+        this.simTime = 0; // seconds of simulated time since reset
+        
+        // Balls in the drum - each one is an independent body (see createBall)
+        this.balls = [];
+        this.addBall('tennis');
         
         // Physical constants
         this.gravity = 9.81; // m/s² - Earth's gravitational acceleration
@@ -62,72 +182,230 @@ class DryerPhysics {
         this.lintTrapEnabled = false;
         this.lintTrapThreshold = 0.15; // m/s - minimum velocity to trigger sound/MIDI
         this.moonGravityEnabled = false;
+        this.restitutionScale = 1; // multiplies every ball's restitution (driven by modulation)
         
         // Drum rotation
         this.drumAngle = 0; // current rotation angle (radians)
-        this.drumAngularVelocity = 0; // ω (rad/s)
+        this.drumAngularVelocity = 0; // ω (rad/s) - the actual speed, which follows the profile
+        this.drumAngularAcceleration = 0; // dω/dt (rad/s²) over the last step, for the Euler force
+        
+        // Speed profile: how the drum's speed moves around the RPM knob value over time.
+        // ramp = seconds to spin up from a stop to full speed (0 = instant, as on the knob)
+        this.speedProfile = { mode: 'constant', ramp: 0, period: 8, pause: 0, curve: [100, 50, -100, 0] };
         
         // Visual debug: offset for segment highlighting (adjust if needed)
         this.segmentIndexOffset = 0; // Change this to fix visual mismatch
         
+        // Console logging of drum segment calculations (dryerDebug.debugCollisions())
+        this.logCollisions = false;
+        
         // Enable/disable physics effects for debugging
         this.enableCoriolis = true; // DEFAULT ON - fixes "wind" effect!
         this.enableCentrifugal = true;
         this.enableAirDrag = true;
+        this.enableFriction = true; // spin + Coulomb friction at contacts (off = frictionless bounces)
+        this.enableEuler = true;
         this.coriolisSignFlip = 1; // +1 or -1 to flip Coriolis direction
         
         // Surface tracking for MIDI
         this.surfaces = [];
-        this.lastCollisionSurface = null;
+        // Ball-on-ball hits all share one surface, so they get one note, channel and mixer strip
+        this.ballSurface = { type: 'ball', id: 'ball', index: 0, color: '#ffffff' };
         this.collisionCallbacks = [];
+        this.scrapeCallbacks = []; // (surface, speed m/s, hit) while a ball rolls/slides; speed 0 = contact ended
+        this.collisionDebounce = 0.05; // seconds of sim time before a ball can re-trigger the same surface
+        this.onBeforeStep = null; // (simTime) called before every fixed step, e.g. to apply modulation
         
         // Debug info
         this.debugInfo = {
             centrifugalMagnitude: 0,
             coriolisMagnitude: 0,
             dragMagnitude: 0,
-            totalVelocity: 0
+            totalVelocity: 0,
+            forces: null // { gravity, buoyancy, centrifugal, coriolis, euler, drag }: m/s² vectors on the first ball
         };
         
         // Initialize ball at center
         this.reset();
         this.updateSurfaces();
+        this.updateGeometry();
     }
     
     setParameters(rpm, drumSizeCm, vaneCount, vaneHeightPercent) {
+        const geometryChanged = drumSizeCm / 100 !== this.drumRadius ||
+            Math.floor(vaneCount) !== this.vaneCount || vaneHeightPercent / 100 !== this.vaneHeight;
+        
         this.rpm = rpm;
         this.drumRadius = drumSizeCm / 100; // convert cm to meters
         this.vaneCount = Math.floor(vaneCount);
         this.vaneHeight = vaneHeightPercent / 100;
         
-        // Update angular velocity (rad/s)
-        this.drumAngularVelocity = (rpm * 2 * Math.PI) / 60;
+        // The drum's angular velocity follows at the next step (see updateDrumSpeed)
         
-        // Regenerate surfaces
-        this.updateSurfaces();
+        // Regenerate surfaces only when the vane count changes - modulation calls this every step
+        if (this.surfaces.length !== this.vaneCount * 3) {
+            this.updateSurfaces();
+        }
+        if (geometryChanged) {
+            this.updateGeometry();
+        }
+    }
+    
+    // The first ball - kept so single-ball code (and the debug console) keeps working
+    get ball() {
+        return this.balls[0];
+    }
+
+    // spec: a preset name, or a ball's properties from getBallConfig (a preset with changes, or type 'custom')
+    createBall(spec) {
+        const custom = typeof spec === 'object' && spec !== null;
+        const name = custom ? spec.type : spec;
+        const type = DRYER_BALL_PRESETS[name] ? name : (custom ? 'custom' : 'tennis');
+        const preset = custom ? this.clampBallProperties(spec, DRYER_BALL_PRESETS[name] || DRYER_BALL_PRESETS.tennis)
+            : DRYER_BALL_PRESETS[type];
+
+        return {
+            id: this.balls.length, // stable index, used to voice each ball separately
+            type: type,
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+
+            // BALL SIZE: Affects collision detection and visual appearance
+            // Tennis ball: 0.035m, Racquetball: 0.028m, Baseball: 0.037m, Larger ball: 0.05m
+            radius: preset.radius, // meters
+
+            // BALL MASS: More mass = less affected by air drag and Coriolis
+            // Tennis ball: 0.058kg, Baseball: 0.145kg, Racquetball: 0.040kg, Heavy ball: 0.200kg
+            mass: preset.mass, // kg
+
+            // RESTITUTION: How "bouncy" the ball is (0 = no bounce, 1 = perfect bounce)
+            restitution: preset.restitution,
+
+            // DRAG COEFFICIENT: Sphere in turbulent air flow
+            // Smooth sphere: 0.47, Tennis ball (fuzzy): 0.55, Rough sphere: 0.8
+            dragCoeff: preset.dragCoeff,
+
+            // SPIN: friction at each contact turns sliding into spin (and back)
+            friction: preset.friction,
+            inertia: preset.inertia, // moment of inertia / (mass × radius²)
+            omega: 0,    // angular velocity (rad/s, counter-clockwise, drum frame)
+            rotation: 0, // accumulated spin angle, for drawing
+
+            // Surfaces the ball is resting/rolling on (more than one when wedged against a vane):
+            // surface -> { lastSeen, lastScrape, resting, speed }
+            contacts: new Map(),
+            // Balls this one is touching (only kept on the ball with the lower index): ball -> lastSeen
+            ballContacts: new Map(),
+
+            // Per-ball debounce so two balls can hit the same surface back to back
+            lastCollisionSurface: null,
+            lastCollisionTime: 0,
+
+            // Cross-sectional area (calculated from radius)
+            get area() { return Math.PI * this.radius * this.radius; },
+
+            // Volume (calculated from radius)
+            get volume() { return (4/3) * Math.PI * Math.pow(this.radius, 3); }
+        };
+    }
+
+    // Returns the new ball, or null when the drum already holds DRYER_MAX_BALLS
+    addBall(spec) {
+        if (this.balls.length >= DRYER_MAX_BALLS) return null;
+        const ball = this.createBall(spec);
+        this.balls.push(ball);
+        this.placeBall(ball);
+        return ball;
+    }
+
+    removeBall() {
+        // Always keep at least one ball in the drum
+        if (this.balls.length <= 1) return null;
+        return this.balls.pop();
+    }
+
+    // Spread balls around the drum so they don't start overlapping.
+    // The seeded jitter makes each seed start from a different (but repeatable) position.
+    placeBall(ball) {
+        const angle = (ball.id / Math.max(1, this.balls.length)) * 2 * Math.PI + this.random.range(-0.2, 0.2);
+        const distance = this.drumRadius * this.random.range(0.25, 0.35);
+        ball.x = distance * Math.cos(angle);
+        ball.y = distance * Math.sin(angle);
+        ball.vx = 0;
+        ball.vy = 0;
+        ball.omega = 0;
+        ball.rotation = 0;
+        ball.contacts.clear();
+        ball.ballContacts.clear();
+        ball.lastCollisionSurface = null;
+    }
+
+    // Effective restitution after modulation, never above 1 (no energy gain)
+    getRestitution(ball) {
+        return Math.min(1, ball.restitution * this.restitutionScale);
     }
     
     // NEW: Allow changing ball properties during runtime for testing
-    setBallProperties(radius, mass, restitution, dragCoeff) {
-        if (radius !== undefined) this.ball.radius = radius;
-        if (mass !== undefined) this.ball.mass = mass;
-        if (restitution !== undefined) this.ball.restitution = restitution;
-        if (dragCoeff !== undefined) this.ball.dragCoeff = dragCoeff;
+    setBallProperties(radius, mass, restitution, dragCoeff, index = 0, friction, inertia) {
+        const ball = this.balls[index];
+        if (!ball) return;
+        if (radius !== undefined) ball.radius = radius;
+        if (mass !== undefined) ball.mass = mass;
+        if (restitution !== undefined) ball.restitution = restitution;
+        if (dragCoeff !== undefined) ball.dragCoeff = dragCoeff;
+        if (friction !== undefined) ball.friction = friction;
+        if (inertia !== undefined) ball.inertia = inertia;
+    }
+
+    // Keep ball properties in DRYER_BALL_LIMITS - mass is a divisor and radius feeds the drag area and
+    // buoyant volume, so a zero, negative or NaN one would wreck the integration. Missing and non-numeric
+    // values come from `fallback` (a preset) when one is given; otherwise missing ones are left out.
+    clampBallProperties(properties, fallback = null) {
+        const clamped = { ...properties };
+        Object.entries(DRYER_BALL_LIMITS).forEach(([key, { min, max }]) => {
+            if (clamped[key] === undefined && !fallback) return;
+            const value = Number(clamped[key]);
+            const safe = Number.isFinite(value) ? value : (fallback ? fallback[key] : min);
+            clamped[key] = Math.max(min, Math.min(max, safe));
+        });
+        return clamped;
     }
     
+    // A ball as saved in a config: its preset name if it is unchanged, otherwise all its properties
+    getBallConfig(ball) {
+        const preset = DRYER_BALL_PRESETS[ball.type];
+        const keys = Object.keys(DRYER_BALL_LIMITS);
+        if (preset && keys.every(key => ball[key] === preset[key])) return ball.type;
+        
+        const config = { type: ball.type };
+        keys.forEach(key => { config[key] = ball[key]; });
+        return config;
+    }
+    
+    setBallType(type, index = 0) {
+        const preset = DRYER_BALL_PRESETS[type];
+        const ball = this.balls[index];
+        if (!preset || !ball) return;
+
+        ball.type = type;
+        this.setBallProperties(preset.radius, preset.mass, preset.restitution, preset.dragCoeff, index, preset.friction, preset.inertia);
+    }
+
     // Ball type presets
-    setTennisBall() {
-        this.setBallProperties(0.035, 0.058, 0.75, 0.55);
+    setTennisBall(index = 0) {
+        this.setBallType('tennis', index);
         console.log('🎾 Tennis ball selected');
     }
-    
-    setSandbagBall() {
-        this.setBallProperties(0.05, 0.5, 0.15, 0.8); // 10cm diameter, 500g, low bounce, high drag
+
+    setSandbagBall(index = 0) {
+        this.setBallType('sandbag', index);
         console.log('🏋️ Sandbag selected');
     }
 
-    setBalloonBall() {
-        this.setBallProperties(0.13, 0.01228, 0.30, 0.47); // 13cm radius, 1g rubber + 11.28g air inside
+    setBalloonBall(index = 0) {
+        this.setBallType('balloon', index);
         console.log('🎈 Balloon selected');
     }
 
@@ -142,7 +420,85 @@ class DryerPhysics {
         this.gravity = enabled ? this.moonGravity : this.earthGravity;
         console.log(`🌙 Moon gravity: ${enabled ? 'ON (1/6th Earth)' : 'OFF (normal)'}`);
     }
-    
+
+    // Plain-object snapshot of everything that shapes the pattern (knob units, as in the UI)
+    getConfig() {
+        return {
+            rpm: this.rpm,
+            drumSize: Math.round(this.drumRadius * 100),
+            vanes: this.vaneCount,
+            vaneHeight: Math.round(this.vaneHeight * 100),
+            balls: this.balls.map(ball => this.getBallConfig(ball)),
+            seed: this.seed,
+            shape: this.drumShape.label,
+            vaneShapes: this.vaneShapes.map(shape => shape ? { ...shape } : null),
+            lintTrap: this.lintTrapEnabled,
+            lintTrapThreshold: this.lintTrapThreshold,
+            airDensity: this.airDensity,
+            moonGravity: this.moonGravityEnabled,
+            coriolis: this.enableCoriolis,
+            centrifugal: this.enableCentrifugal,
+            drag: this.enableAirDrag,
+            friction: this.enableFriction,
+            euler: this.enableEuler,
+            integrator: this.integrator,
+            collisions: this.collisionMode,
+            substeps: this.maxSubsteps,
+            speed: { ...this.speedProfile, curve: [...this.speedProfile.curve] }
+        };
+    }
+
+    // Knob values of a config from a patch or share link pulled into DRYER_PARAMETER_LIMITS.
+    // Ones that aren't numbers are left out, so applyConfig keeps the current value.
+    clampConfig(config) {
+        const clamped = { ...config };
+        Object.entries(DRYER_PARAMETER_LIMITS).forEach(([key, { min, max }]) => {
+            if (clamped[key] === undefined) return;
+            if (typeof clamped[key] === 'number' && Number.isFinite(clamped[key])) {
+                clamped[key] = Math.max(min, Math.min(max, clamped[key]));
+            } else {
+                delete clamped[key];
+            }
+        });
+        return clamped;
+    }
+
+    // Apply a (possibly partial) config from getConfig() and reset the balls.
+    // A ball list only replaces the balls if it has at least one. Knob values are taken as they
+    // are (the tests use drums bigger than the knob allows) - run untrusted configs through clampConfig first.
+    // Silent on purpose - the headless renderer writes its output to stdout.
+    applyConfig(config) {
+        const current = this.getConfig();
+        const next = { ...current, ...config };
+
+        this.setParameters(next.rpm, next.drumSize, next.vanes, next.vaneHeight);
+        this.drumShape = DRYER_DRUM_SHAPES.find(shape => shape.label === next.shape) || DRYER_DRUM_SHAPES[0];
+        this.vaneShapes = (Array.isArray(next.vaneShapes) ? next.vaneShapes : [])
+            .slice(0, DRYER_PARAMETER_LIMITS.vanes.max)
+            .map(shape => shape && typeof shape === 'object' ? this.clampVaneShape(shape) : null);
+        this.updateGeometry();
+
+        if (Array.isArray(config.balls) && config.balls.length > 0) {
+            this.balls = [];
+            config.balls.slice(0, DRYER_MAX_BALLS).forEach(spec => this.addBall(spec));
+        }
+
+        this.lintTrapEnabled = !!next.lintTrap;
+        this.lintTrapThreshold = Math.max(0, Math.min(2, next.lintTrapThreshold || 0));
+        this.airDensity = Math.max(0, Math.min(5, next.airDensity || 0));
+        this.moonGravityEnabled = !!next.moonGravity;
+        this.gravity = this.moonGravityEnabled ? this.moonGravity : this.earthGravity;
+        this.enableCoriolis = !!next.coriolis;
+        this.enableCentrifugal = !!next.centrifugal;
+        this.enableAirDrag = !!next.drag;
+        this.enableFriction = next.friction !== false;
+        this.enableEuler = next.euler !== false;
+        this.setIntegration(next.integrator, next.collisions, next.substeps);
+        this.setSpeedProfile(next.speed);
+
+        this.setSeed(next.seed);
+    }
+
     updateSurfaces() {
         this.surfaces = [];
         
@@ -172,6 +528,220 @@ class DryerPhysics {
         }
     }
     
+    // =====================================================================
+    // GEOMETRY - drum outline and vanes, all in the drum's rotating frame
+    // =====================================================================
+    
+    setIntegration(integrator, collisionMode = this.collisionMode, maxSubsteps = this.maxSubsteps) {
+        this.integrator = DRYER_INTEGRATORS.some(option => option.value === integrator) ? integrator : 'semi-implicit';
+        this.collisionMode = collisionMode === 'discrete' ? 'discrete' : 'swept';
+        this.maxSubsteps = Math.max(1, Math.min(16, Math.floor(maxSubsteps) || 1));
+    }
+    
+    // Change part of the speed profile, e.g. setSpeedProfile({ mode: 'reverse', period: 4 })
+    // Patch values are untrusted: anything that isn't a number keeps the current setting
+    setSpeedProfile(changes) {
+        const current = this.speedProfile;
+        const next = { ...current, ...changes };
+        const clamp = (value, min, max, fallback) => Math.max(min, Math.min(max, Number.isFinite(value) ? value : fallback));
+        if (!DRYER_SPEED_PROFILES.some(profile => profile.value === next.mode)) next.mode = 'constant';
+        next.ramp = clamp(next.ramp, 0, 30, current.ramp);
+        next.period = clamp(next.period, 0.25, 120, current.period);
+        next.pause = clamp(next.pause, 0, 60, current.pause);
+        const curve = Array.isArray(next.curve) && next.curve.every(Number.isFinite) ? next.curve : current.curve;
+        next.curve = curve.map(value => Math.max(-100, Math.min(100, value)));
+        if (next.curve.length === 0) next.curve = [100];
+        this.speedProfile = next;
+    }
+    
+    // Fraction of the RPM knob's speed the profile asks for at the given time (negative = reversed)
+    getSpeedFactor(time) {
+        const { mode, period, pause, curve } = this.speedProfile;
+        
+        if (mode === 'reverse') {
+            const phase = time % (2 * (period + pause));
+            if (phase < period) return 1;
+            if (phase < period + pause) return 0;
+            if (phase < 2 * period + pause) return -1;
+            return 0;
+        }
+        if (mode === 'pulse') {
+            return time % (period + pause) < period ? 1 : 0;
+        }
+        if (mode === 'custom') {
+            const position = (time / period) % curve.length;
+            const index = Math.floor(position);
+            const from = curve[index];
+            const to = curve[(index + 1) % curve.length];
+            return (from + (to - from) * (position - index)) / 100;
+        }
+        return 1;
+    }
+    
+    getTargetAngularVelocity(time) {
+        return (this.rpm * 2 * Math.PI) / 60 * this.getSpeedFactor(time);
+    }
+    
+    // Move the drum toward the profile's speed, no faster than the ramp allows
+    updateDrumSpeed(dt) {
+        const target = this.getTargetAngularVelocity(this.simTime);
+        const previous = this.drumAngularVelocity;
+        
+        if (this.speedProfile.ramp > 0) {
+            const fullSpeed = Math.max(this.rpm, MIN_RAMP_RPM) * 2 * Math.PI / 60;
+            const maxChange = fullSpeed / this.speedProfile.ramp * dt;
+            this.drumAngularVelocity += Math.max(-maxChange, Math.min(maxChange, target - previous));
+        } else {
+            this.drumAngularVelocity = target;
+        }
+        
+        this.drumAngularAcceleration = (this.drumAngularVelocity - previous) / dt;
+    }
+    
+    setDrumShape(label) {
+        this.drumShape = DRYER_DRUM_SHAPES.find(shape => shape.label === label) || DRYER_DRUM_SHAPES[0];
+        this.updateGeometry();
+    }
+    
+    // Override part of a vane's shape, e.g. setVaneShape(2, { tilt: 0.3 }); null restores the knob-driven value
+    setVaneShape(index, changes) {
+        const current = this.vaneShapes[index] || { angle: null, height: null, tilt: 0, curve: 0 };
+        this.vaneShapes[index] = this.clampVaneShape({ ...current, ...changes });
+        this.updateGeometry();
+    }
+    
+    // Angle and height that aren't numbers go back to following the knobs (null)
+    clampVaneShape(shape) {
+        const finite = value => typeof value === 'number' && Number.isFinite(value);
+        return {
+            angle: finite(shape.angle) ? shape.angle : null,
+            height: finite(shape.height) ? Math.max(0.05, Math.min(0.9, shape.height)) : null,
+            tilt: finite(shape.tilt) ? Math.max(-VANE_MAX_TILT, Math.min(VANE_MAX_TILT, shape.tilt)) : 0,
+            curve: finite(shape.curve) ? Math.max(-1, Math.min(1, shape.curve)) : 0
+        };
+    }
+    
+    resetVaneShapes() {
+        this.vaneShapes = [];
+        this.updateGeometry();
+    }
+    
+    // Distance from the drum center to the wall in a given direction (drum frame, radians)
+    getWallRadius(angle) {
+        const R = this.drumRadius;
+        switch (this.drumShape.type) {
+            case 'polygon': {
+                // Corner at angle 0; r = apothem / cos(angle from the side's midpoint)
+                const sector = (2 * Math.PI) / this.drumShape.sides;
+                const local = ((angle % sector) + sector) % sector;
+                return R * Math.cos(sector / 2) / Math.cos(local - sector / 2);
+            }
+            case 'ellipse': {
+                const b = R * this.drumShape.aspect;
+                return R * b / Math.sqrt(Math.pow(b * Math.cos(angle), 2) + Math.pow(R * Math.sin(angle), 2));
+            }
+            default:
+                return R;
+        }
+    }
+    
+    // Rebuild wall and vane segments from the knobs, drum shape and vane overrides
+    updateGeometry() {
+        this.wallSegments = this.drumShape.type === 'circle' ? [] : this.buildWallSegments();
+        
+        this.vanes = [];
+        for (let i = 0; i < this.vaneCount; i++) {
+            this.vanes.push(this.buildVane(i));
+        }
+        
+        this.vaneOrder = this.vanes
+            .map(vane => ({ index: vane.index, angle: ((vane.angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI) }))
+            .sort((a, b) => a.angle - b.angle);
+    }
+    
+    // Closed, counter-clockwise wall; each segment carries its inward normal
+    buildWallSegments() {
+        const corners = this.drumShape.type === 'polygon' ? this.drumShape.sides : ELLIPSE_WALL_SEGMENTS;
+        const points = [];
+        for (let i = 0; i < corners; i++) {
+            const angle = (i / corners) * 2 * Math.PI;
+            const r = this.getWallRadius(angle);
+            points.push({ x: r * Math.cos(angle), y: r * Math.sin(angle) });
+        }
+        
+        return points.map((a, i) => {
+            const b = points[(i + 1) % corners];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            return { x1: a.x, y1: a.y, x2: b.x, y2: b.y, nx: -(b.y - a.y) / length, ny: (b.x - a.x) / length };
+        });
+    }
+    
+    buildVane(index) {
+        const shape = this.vaneShapes[index] || {};
+        const angle = shape.angle ?? (index / this.vaneCount) * 2 * Math.PI;
+        const height = shape.height ?? this.vaneHeight; // fraction of the wall radius at the vane
+        const tilt = shape.tilt || 0;
+        const curve = shape.curve || 0;
+        
+        const r = this.getWallRadius(angle);
+        const base = { x: r * Math.cos(angle), y: r * Math.sin(angle) };
+        let tip;
+        if (tilt === 0) {
+            // Straight toward the center (same arithmetic as always, so round-drum seeds still reproduce)
+            tip = { x: r * (1 - height) * Math.cos(angle), y: r * (1 - height) * Math.sin(angle) };
+        } else {
+            const length = r * height;
+            tip = { x: base.x + length * Math.cos(angle + Math.PI + tilt), y: base.y + length * Math.sin(angle + Math.PI + tilt) };
+        }
+        
+        // Curved vanes are a quadratic Bezier bowed sideways from the straight line
+        const dx = base.x - tip.x;
+        const dy = base.y - tip.y;
+        const control = {
+            x: (tip.x + base.x) / 2 - dy * curve / 2,
+            y: (tip.y + base.y) / 2 + dx * curve / 2
+        };
+        
+        // Points run tip -> base; the collision code keeps that direction for leading/trailing sides
+        const pieces = curve === 0 ? 1 : VANE_CURVE_SEGMENTS;
+        const points = [];
+        for (let i = 0; i <= pieces; i++) {
+            const t = i / pieces;
+            points.push({
+                x: (1 - t) * (1 - t) * tip.x + 2 * (1 - t) * t * control.x + t * t * base.x,
+                y: (1 - t) * (1 - t) * tip.y + 2 * (1 - t) * t * control.y + t * t * base.y
+            });
+        }
+        points[0] = tip;
+        points[pieces] = base;
+        
+        const segments = [];
+        for (let i = 0; i < pieces; i++) {
+            segments.push({ x1: points[i].x, y1: points[i].y, x2: points[i + 1].x, y2: points[i + 1].y });
+        }
+        
+        return { index, angle, height, tilt, curve, base, tip, control, points, segments };
+    }
+    
+    // Mean vane height, for the air coupling model
+    getMeanVaneHeight() {
+        if (!this.vaneShapes.some(shape => shape && shape.height !== null)) return this.vaneHeight;
+        return this.vanes.reduce((sum, vane) => sum + vane.height, 0) / Math.max(1, this.vanes.length);
+    }
+    
+    // Which drum segment (surface index) a wall angle falls in: the one starting at the nearest vane behind it
+    getDrumSegmentIndex(angle) {
+        const order = this.vaneOrder;
+        if (order.length === 0) return 0;
+        
+        const normalized = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        let segment = order[order.length - 1].index; // before the first vane = wrapped round from the last
+        for (let i = 0; i < order.length; i++) {
+            if (normalized >= order[i].angle) segment = order[i].index;
+        }
+        return segment;
+    }
+    
     getSurfaceColor(index) {
         const colors = [
             '#ff6b6b', '#4ecdc4', '#ffe66d', '#a8e6cf', 
@@ -181,31 +751,366 @@ class DryerPhysics {
         return colors[index % colors.length];
     }
     
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.reset();
+    }
+    
     reset() {
-        // Place ball slightly off-center
-        this.ball.x = this.drumRadius * 0.3;
-        this.ball.y = 0;
-        this.ball.vx = 0;
-        this.ball.vy = 0;
+        // Restart the random sequence so every run from reset is identical
+        this.random.setSeed(this.seed);
+        
+        // Place balls slightly off-center
+        this.balls.forEach(ball => this.placeBall(ball));
         this.drumAngle = 0;
+        this.simTime = 0;
+        this.accumulator = 0;
+        this.batchEndTime = 0;
+        this.fastForwardSteps = 0; // steps of a fastForward still to replay
+        
+        // A ramped drum starts from a standstill; otherwise it is already at speed
+        this.drumAngularVelocity = this.speedProfile.ramp > 0 ? 0 : this.getTargetAngularVelocity(0);
+        this.drumAngularAcceleration = 0;
     }
     
     onCollision(callback) {
         this.collisionCallbacks.push(callback);
     }
     
+    onScrape(callback) {
+        this.scrapeCallbacks.push(callback);
+    }
+    
+    // Advance the simulation by elapsed wall-clock time using fixed steps.
+    // Leftover time stays in the accumulator for the next call.
+    advance(elapsed) {
+        this.accumulator += elapsed;
+        
+        // Still replaying a jump: the time that passes meanwhile is replayed (silently) too
+        if (this.fastForwardSteps > 0) {
+            while (this.accumulator >= this.fixedTimeStep) {
+                this.fastForwardSteps++;
+                this.accumulator -= this.fixedTimeStep;
+            }
+            this.continueFastForward();
+            return;
+        }
+        
+        // Sim time this batch of steps ends at. Listeners are called during the batch but live
+        // playback catches up with the wall clock at its end, so notes are scheduled from there.
+        let steps = 0;
+        for (let remaining = this.accumulator; remaining >= this.fixedTimeStep; remaining -= this.fixedTimeStep) steps++;
+        this.batchEndTime = this.simTime + steps * this.fixedTimeStep;
+        
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+    }
+    
+    // Jump to a point in the pattern: replay from reset without notifying listeners.
+    // Works because the engine is deterministic (used for MIDI Song Position).
+    // maxSteps replays only the first slice; continueFastForward (or advance) does the rest.
+    // Returns true once the drum has caught up.
+    fastForward(seconds, maxSteps = Infinity) {
+        this.reset();
+        this.fastForwardSteps = Math.max(0, Math.round(seconds / this.fixedTimeStep));
+        return this.continueFastForward(maxSteps);
+    }
+    
+    continueFastForward(maxSteps = FAST_FORWARD_SLICE) {
+        const callbacks = this.collisionCallbacks;
+        const scrapeCallbacks = this.scrapeCallbacks;
+        this.collisionCallbacks = [];
+        this.scrapeCallbacks = [];
+        
+        const steps = Math.min(maxSteps, this.fastForwardSteps);
+        for (let i = 0; i < steps; i++) {
+            this.step(this.fixedTimeStep);
+        }
+        this.fastForwardSteps -= steps;
+        
+        this.collisionCallbacks = callbacks;
+        this.scrapeCallbacks = scrapeCallbacks;
+        return this.fastForwardSteps === 0;
+    }
+    
     step(dt) {
-        // Update drum rotation
-        this.drumAngle += this.drumAngularVelocity * dt;
+        const startTime = this.profiling ? performance.now() : 0;
+        if (this.onBeforeStep) this.onBeforeStep(this.simTime);
+        
+        const substeps = this.getSubstepCount(dt);
+        const h = dt / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            this.simTime += h;
+            
+            // Update drum rotation
+            const angleStart = this.drumAngle;
+            this.updateDrumSpeed(h);
+            this.drumAngle += this.drumAngularVelocity * h;
+            
+            this.balls.forEach(ball => this.integrateBall(ball, h, angleStart));
+            
+            // Check collisions
+            this.handleCollisions();
+        }
+        this.balls.forEach(ball => this.updateContact(ball));
+        
+        if (this.profiling) {
+            const profile = this.profile;
+            profile.steps++;
+            profile.substeps += substeps;
+            profile.maxSubsteps = Math.max(profile.maxSubsteps, substeps);
+            profile.time += performance.now() - startTime;
+        }
+    }
+    
+    // Enough substeps that no ball moves more than SUBSTEP_TRAVEL radii in one
+    getSubstepCount(dt) {
+        if (this.maxSubsteps <= 1) return 1;
+        
+        let travel = 0;
+        this.balls.forEach(ball => {
+            travel = Math.max(travel, Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy) * dt / (ball.radius * SUBSTEP_TRAVEL));
+        });
+        return Math.max(1, Math.min(this.maxSubsteps, Math.ceil(travel)));
+    }
+    
+    // =====================================================================
+    // PROFILING - how much CPU the simulation costs (the browser readout, `--profile`)
+    // =====================================================================
+    
+    resetProfile() {
+        this.profile = { steps: 0, substeps: 0, maxSubsteps: 0, sweepHits: 0, time: 0 };
+    }
+    
+    // Totals since resetProfile; cpuLoad = compute time per second of simulated time (1 = real time)
+    getProfile() {
+        const { steps, substeps, maxSubsteps, sweepHits, time } = this.profile;
+        const simulated = steps * this.fixedTimeStep;
+        return {
+            steps: steps,
+            simulated: simulated,
+            time: time,
+            msPerStep: steps ? time / steps : 0,
+            avgSubsteps: steps ? substeps / steps : 0,
+            maxSubsteps: maxSubsteps,
+            sweepHits: sweepHits,
+            cpuLoad: simulated ? time / 1000 / simulated : 0
+        };
+    }
+    
+    // Advance one ball by dt with the selected integrator. angleStart is the drum angle at the
+    // start of the step (this.drumAngle is already at its end), so RK4/Verlet can follow gravity round.
+    integrateBall(ball, dt, angleStart = this.drumAngle) {
+        // Debug readouts describe the first ball
+        const isPrimary = ball === this.balls[0];
+        let dx;
+        let dy;
+        
+        if (this.integrator === 'rk4') {
+            const angleAt = fraction => angleStart + (this.drumAngle - angleStart) * fraction;
+            const { x, y, vx, vy } = ball;
+            const a1 = this.getAcceleration(ball, x, y, vx, vy, angleAt(0), isPrimary);
+            const v2x = vx + a1.x * dt / 2;
+            const v2y = vy + a1.y * dt / 2;
+            const a2 = this.getAcceleration(ball, x + vx * dt / 2, y + vy * dt / 2, v2x, v2y, angleAt(0.5), false);
+            const v3x = vx + a2.x * dt / 2;
+            const v3y = vy + a2.y * dt / 2;
+            const a3 = this.getAcceleration(ball, x + v2x * dt / 2, y + v2y * dt / 2, v3x, v3y, angleAt(0.5), false);
+            const v4x = vx + a3.x * dt;
+            const v4y = vy + a3.y * dt;
+            const a4 = this.getAcceleration(ball, x + v3x * dt, y + v3y * dt, v4x, v4y, angleAt(1), false);
+            
+            dx = (vx + 2 * v2x + 2 * v3x + v4x) * dt / 6;
+            dy = (vy + 2 * v2y + 2 * v3y + v4y) * dt / 6;
+            ball.vx += (a1.x + 2 * a2.x + 2 * a3.x + a4.x) * dt / 6;
+            ball.vy += (a1.y + 2 * a2.y + 2 * a3.y + a4.y) * dt / 6;
+        } else if (this.integrator === 'verlet') {
+            // Velocity Verlet; the end-of-step velocity-dependent forces use a predicted velocity
+            const a1 = this.getAcceleration(ball, ball.x, ball.y, ball.vx, ball.vy, angleStart, isPrimary);
+            dx = ball.vx * dt + a1.x * dt * dt / 2;
+            dy = ball.vy * dt + a1.y * dt * dt / 2;
+            const a2 = this.getAcceleration(ball, ball.x + dx, ball.y + dy,
+                ball.vx + a1.x * dt, ball.vy + a1.y * dt, this.drumAngle, false);
+            ball.vx += (a1.x + a2.x) * dt / 2;
+            ball.vy += (a1.y + a2.y) * dt / 2;
+        } else {
+            // Semi-implicit Euler: new velocity first, then move with it
+            const a = this.getAcceleration(ball, ball.x, ball.y, ball.vx, ball.vy, this.drumAngle, isPrimary);
+            ball.vx += a.x * dt;
+            ball.vy += a.y * dt;
+            dx = ball.vx * dt;
+            dy = ball.vy * dt;
+        }
+        
+        // Update debug info
+        if (isPrimary) this.debugInfo.totalVelocity = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+        
+        // Update position
+        this.moveBall(ball, dx, dy, dt);
+        ball.rotation += ball.omega * dt;
+    }
+    
+    // Move a ball by (dx, dy) over dt. Swept mode stops it at the first surface on the way,
+    // bounces it there and carries on with the rest of the move at the new velocity.
+    moveBall(ball, dx, dy, dt) {
+        if (this.collisionMode === 'swept') {
+            let remaining = dt;
+            for (let i = 0; i < MAX_SWEEP_BOUNCES; i++) {
+                const hit = this.sweepBall(ball, dx, dy);
+                if (!hit) break;
+                
+                ball.x += dx * hit.t;
+                ball.y += dy * hit.t;
+                if (this.profiling) this.profile.sweepHits++;
+                
+                // Already moving away (the move and the velocity can differ slightly with RK4/Verlet)
+                const vn = ball.vx * hit.nx + ball.vy * hit.ny;
+                if (vn >= 0) {
+                    dx *= 1 - hit.t;
+                    dy *= 1 - hit.t;
+                    break;
+                }
+                
+                const surface = hit.surface || this.getWallSurface(ball, Math.atan2(ball.y, ball.x));
+                this.resolveImpact(ball, hit.nx, hit.ny, vn, surface);
+                
+                remaining *= 1 - hit.t;
+                dx = ball.vx * remaining;
+                dy = ball.vy * remaining;
+            }
+        }
+        
+        ball.x += dx;
+        ball.y += dy;
+    }
+    
+    /**
+     * Earliest point along the move (dx, dy) where the ball touches the wall or a vane:
+     * { t (0-1 along the move), nx, ny (unit normal toward the ball), surface (vanes only) } or null.
+     * Balls already overlapping a surface are left to the overlap checks in handleCollisions.
+     */
+    sweepBall(ball, dx, dy) {
+        let best = null;
+        const consider = hit => {
+            if (hit && (!best || hit.t < best.t)) best = hit;
+        };
+        
+        if (this.wallSegments.length > 0) {
+            this.wallSegments.forEach(wall => {
+                consider(this.sweepSegmentSide(ball, dx, dy, wall.x1, wall.y1, wall.x2, wall.y2, wall.nx, wall.ny));
+            });
+        } else {
+            consider(this.sweepCircleWall(ball, dx, dy));
+        }
+        
+        this.vanes.forEach(vane => {
+            vane.segments.forEach(segment => {
+                const vdx = segment.x2 - segment.x1;
+                const vdy = segment.y2 - segment.y1;
+                const length = Math.sqrt(vdx * vdx + vdy * vdy);
+                if (length === 0) return;
+                
+                // Same side convention as checkVaneCollisions: +perp is the leading face
+                const perpX = -vdy / length;
+                const perpY = vdx / length;
+                const side = (ball.x - segment.x1) * perpX + (ball.y - segment.y1) * perpY >= 0 ? 1 : -1;
+                const faces = [
+                    this.sweepSegmentSide(ball, dx, dy, segment.x1, segment.y1, segment.x2, segment.y2, side * perpX, side * perpY),
+                    this.sweepPoint(ball, dx, dy, segment.x1, segment.y1),
+                    this.sweepPoint(ball, dx, dy, segment.x2, segment.y2)
+                ];
+                faces.forEach(hit => {
+                    if (!hit) return;
+                    const type = hit.nx * perpX + hit.ny * perpY > 0 ? 'vane_leading' : 'vane_trailing';
+                    hit.surface = this.surfaces.find(s => s.type === type && s.index === vane.index);
+                    consider(hit);
+                });
+            });
+        });
+        
+        return best;
+    }
+    
+    // Round drum: the ball's center has to stay within drumRadius - radius
+    sweepCircleWall(ball, dx, dy) {
+        const limit = this.drumRadius - ball.radius;
+        const c = ball.x * ball.x + ball.y * ball.y - limit * limit;
+        if (c > 2 * limit * SWEEP_SKIN) return null; // already outside: overlap check
+        
+        const endX = ball.x + dx;
+        const endY = ball.y + dy;
+        if (endX * endX + endY * endY <= limit * limit) return null;
+        
+        // |p + t·d| = limit, leaving root
+        const a = dx * dx + dy * dy;
+        const b = 2 * (ball.x * dx + ball.y * dy);
+        const t = Math.max(0, (-b + Math.sqrt(Math.max(0, b * b - 4 * a * c))) / (2 * a));
+        if (t > 1) return null;
+        
+        const hitX = ball.x + dx * t;
+        const hitY = ball.y + dy * t;
+        if (hitX * dx + hitY * dy <= 0) return null; // sliding along the wall, not into it
+        
+        const dist = Math.sqrt(hitX * hitX + hitY * hitY);
+        return { t: t, nx: -hitX / dist, ny: -hitY / dist, surface: null };
+    }
+    
+    // Flat face of a segment, approached from the side normal (nx, ny) points to
+    sweepSegmentSide(ball, dx, dy, x1, y1, x2, y2, nx, ny) {
+        const approach = dx * nx + dy * ny;
+        if (approach >= 0) return null;
+        
+        const gap = (ball.x - x1) * nx + (ball.y - y1) * ny - ball.radius;
+        if (gap < -SWEEP_SKIN) return null; // already overlapping: overlap check
+        
+        const t = Math.max(0, gap / -approach);
+        if (t > 1) return null;
+        
+        // The contact has to land on the segment itself (its ends are swept as points)
+        const sx = x2 - x1;
+        const sy = y2 - y1;
+        const along = ((ball.x + dx * t - x1) * sx + (ball.y + dy * t - y1) * sy) / (sx * sx + sy * sy);
+        if (along < 0 || along > 1) return null;
+        
+        return { t: t, nx: nx, ny: ny, surface: null };
+    }
+    
+    // A point (a vane tip or joint): circle against point
+    sweepPoint(ball, dx, dy, px, py) {
+        const mx = ball.x - px;
+        const my = ball.y - py;
+        const b = mx * dx + my * dy;
+        if (b >= 0) return null; // moving away
         
+        const a = dx * dx + dy * dy;
+        const c = mx * mx + my * my - ball.radius * ball.radius;
+        if (c < -2 * ball.radius * SWEEP_SKIN) return null; // already overlapping: overlap check
+        
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return null;
+        
+        const t = Math.max(0, (-b - Math.sqrt(discriminant)) / a);
+        if (t > 1) return null;
+        
+        const hitX = mx + dx * t;
+        const hitY = my + dy * t;
+        const dist = Math.sqrt(hitX * hitX + hitY * hitY);
+        return { t: t, nx: hitX / dist, ny: hitY / dist, surface: null };
+    }
+    
+    // Acceleration on a ball at a given drum-frame position and velocity, with the drum at angle
+    getAcceleration(ball, x, y, vx, vy, angle, isPrimary) {
         // =====================================================================
         // ROTATING REFERENCE FRAME PHYSICS
         // =====================================================================
         
         // 1. GRAVITATIONAL FORCE (transformed to rotating frame)
         // Gravity always points down in world frame, but drum is rotating
-        const cos = Math.cos(this.drumAngle);
-        const sin = Math.sin(this.drumAngle);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
         
         const gravityX = -this.gravity * sin;
         const gravityY = -this.gravity * cos;
@@ -213,7 +1118,7 @@ class DryerPhysics {
         // 2. BUOYANCY FORCE (Archimedes' principle)
         // F_buoyancy = ρ_air × V_ball × g (opposes gravity)
         // Expressed as acceleration: a = (ρ_air × V_ball × g) / m_ball = (ρ_air / ρ_ball) × g
-        const buoyancyFactor = (this.airDensity * this.ball.volume) / this.ball.mass;
+        const buoyancyFactor = (this.airDensity * ball.volume) / ball.mass;
         const buoyancyX = -gravityX * buoyancyFactor;
         const buoyancyY = -gravityY * buoyancyFactor;
 
@@ -223,17 +1128,17 @@ class DryerPhysics {
         let centrifugalY = 0;
 
         if (this.enableCentrifugal) {
-            const distFromCenter = Math.sqrt(this.ball.x * this.ball.x + this.ball.y * this.ball.y);
+            const distFromCenter = Math.sqrt(x * x + y * y);
             if (distFromCenter > 0.0001) {
                 const centrifugalMagnitude = this.drumAngularVelocity * this.drumAngularVelocity * distFromCenter;
-                centrifugalX = (this.ball.x / distFromCenter) * centrifugalMagnitude;
-                centrifugalY = (this.ball.y / distFromCenter) * centrifugalMagnitude;
+                centrifugalX = (x / distFromCenter) * centrifugalMagnitude;
+                centrifugalY = (y / distFromCenter) * centrifugalMagnitude;
 
                 // Buoyancy also opposes centrifugal force in rotating frame
                 centrifugalX *= (1 - buoyancyFactor);
                 centrifugalY *= (1 - buoyancyFactor);
 
-                this.debugInfo.centrifugalMagnitude = centrifugalMagnitude;
+                if (isPrimary) this.debugInfo.centrifugalMagnitude = centrifugalMagnitude;
             }
         }
         
@@ -248,57 +1153,56 @@ class DryerPhysics {
             // Note: We don't multiply by mass here since we're calculating acceleration (F/m)
             // Sign convention: positive ω is counter-clockwise rotation
             const sign = this.coriolisSignFlip || 1;
-            coriolisX = sign * 2 * this.drumAngularVelocity * this.ball.vy;
-            coriolisY = sign * -2 * this.drumAngularVelocity * this.ball.vx;
+            coriolisX = sign * 2 * this.drumAngularVelocity * vy;
+            coriolisY = sign * -2 * this.drumAngularVelocity * vx;
             
             const coriolisMag = Math.sqrt(coriolisX * coriolisX + coriolisY * coriolisY);
-            this.debugInfo.coriolisMagnitude = coriolisMag;
+            if (isPrimary) this.debugInfo.coriolisMagnitude = coriolisMag;
         }
         
-        // 5. AIR DRAG FORCE (with velocity field from rotating air)
+        // 5. EULER FORCE (fictitious force while the drum's speed changes)
+        // F_euler = -m(dω/dt × r): in 2D, a_x = α*y, a_y = -α*x
+        // A drum that brakes or reverses slides the ball along the wall, which keeps its lab-frame speed
+        let eulerX = 0;
+        let eulerY = 0;
+        
+        if (this.enableEuler) {
+            eulerX = this.drumAngularAcceleration * y;
+            eulerY = -this.drumAngularAcceleration * x;
+        }
+        
+        // 6. AIR DRAG FORCE (with velocity field from rotating air)
         let dragX = 0;
         let dragY = 0;
 
         if (this.enableAirDrag) {
             // Calculate ball's radial position
-            const r = Math.sqrt(this.ball.x * this.ball.x + this.ball.y * this.ball.y);
+            const r = Math.sqrt(x * x + y * y);
 
             if (r > 0.001) {
-                // Coupling coefficient: how well air locks to drum rotation
-                // c → 1 with more/taller vanes (solid body rotation)
-                // c → 0 with fewer/shorter vanes (quadratic profile)
-                const h = this.vaneHeight; // fraction (0.1 to 0.5)
-                const n = this.vaneCount;
-                const k = 0.5; // empirical coupling constant
-                const c = 1 - Math.exp(-k * n * h);
-
-                // Air velocity in rotating frame (tangential component)
-                // v_air(r) = ω*r*[(c + (1-c)*r/R) - 1] = ω*r*(1-c)*(r/R - 1)
-                const omega = this.drumAngularVelocity;
-                const vAirTangential = omega * r * (1 - c) * (r / this.drumRadius - 1);
-
-                // Convert tangential air velocity to Cartesian
-                const theta = Math.atan2(this.ball.y, this.ball.x);
-                const vAirX = -vAirTangential * Math.sin(theta);
-                const vAirY = vAirTangential * Math.cos(theta);
+                const air = this.getAirVelocity(x, y);
+                const vAirX = air.x;
+                const vAirY = air.y;
 
                 // Relative velocity (ball velocity relative to local air)
-                const vRelX = this.ball.vx - vAirX;
-                const vRelY = this.ball.vy - vAirY;
+                const vRelX = vx - vAirX;
+                const vRelY = vy - vAirY;
                 const vRelSpeed = Math.sqrt(vRelX * vRelX + vRelY * vRelY);
 
                 if (vRelSpeed > 0.001) {
                     // Quadratic drag: F = -0.5 * ρ * |v_rel|² * C_d * A * v̂_rel
                     const dragForceMagnitude = 0.5 * this.airDensity * vRelSpeed * vRelSpeed *
-                                              this.ball.dragCoeff * this.ball.area;
-                    const dragAccelMagnitude = dragForceMagnitude / this.ball.mass;
+                                              ball.dragCoeff * ball.area;
+                    const dragAccelMagnitude = dragForceMagnitude / ball.mass;
 
                     // Drag opposes relative velocity
                     dragX = -(vRelX / vRelSpeed) * dragAccelMagnitude;
                     dragY = -(vRelY / vRelSpeed) * dragAccelMagnitude;
 
-                    this.debugInfo.dragMagnitude = dragAccelMagnitude;
-                    this.debugInfo.airVelocity = Math.sqrt(vAirX * vAirX + vAirY * vAirY);
+                    if (isPrimary) {
+                        this.debugInfo.dragMagnitude = dragAccelMagnitude;
+                        this.debugInfo.airVelocity = Math.sqrt(vAirX * vAirX + vAirY * vAirY);
+                    }
                 }
             }
         }
@@ -307,209 +1211,450 @@ class DryerPhysics {
         // APPLY ALL FORCES (as accelerations)
         // =====================================================================
 
-        let totalAccelX = gravityX + buoyancyX + centrifugalX + coriolisX + dragX;
-        let totalAccelY = gravityY + buoyancyY + centrifugalY + coriolisY + dragY;
+        const totalAccelX = gravityX + buoyancyX + centrifugalX + coriolisX + eulerX + dragX;
+        const totalAccelY = gravityY + buoyancyY + centrifugalY + coriolisY + eulerY + dragY;
         
-        this.ball.vx += totalAccelX * dt;
-        this.ball.vy += totalAccelY * dt;
+        // Each term as a drum-frame vector, for the force arrows overlay
+        if (isPrimary) {
+            this.debugInfo.forces = {
+                gravity: { x: gravityX, y: gravityY },
+                buoyancy: { x: buoyancyX, y: buoyancyY },
+                centrifugal: { x: centrifugalX, y: centrifugalY },
+                coriolis: { x: coriolisX, y: coriolisY },
+                euler: { x: eulerX, y: eulerY },
+                drag: { x: dragX, y: dragY }
+            };
+        }
         
-        // Update debug info
-        this.debugInfo.totalVelocity = Math.sqrt(this.ball.vx * this.ball.vx + this.ball.vy * this.ball.vy);
+        return { x: totalAccelX, y: totalAccelY };
+    }
+    
+    // Coupling coefficient: how well air locks to drum rotation
+    // c → 1 with more/taller vanes (solid body rotation)
+    // c → 0 with fewer/shorter vanes (quadratic profile)
+    getAirCoupling() {
+        const h = this.getMeanVaneHeight(); // fraction (0.1 to 0.5)
+        const n = this.vaneCount;
+        const k = 0.5; // empirical coupling constant
+        return 1 - Math.exp(-k * n * h);
+    }
+    
+    // Air velocity at a point, in the rotating frame (still air in the drum = 0)
+    getAirVelocity(x, y) {
+        const r = Math.sqrt(x * x + y * y);
+        if (r <= 0.001) return { x: 0, y: 0 };
         
-        // Update position
-        this.ball.x += this.ball.vx * dt;
-        this.ball.y += this.ball.vy * dt;
+        // Tangential component: v_air(r) = ω*r*[(c + (1-c)*r/R) - 1] = ω*r*(1-c)*(r/R - 1)
+        const c = this.getAirCoupling();
+        const vAirTangential = this.drumAngularVelocity * r * (1 - c) * (r / this.drumRadius - 1);
         
-        // Check collisions
-        this.handleCollisions();
+        // Convert tangential air velocity to Cartesian
+        const theta = Math.atan2(y, x);
+        return {
+            x: -vAirTangential * Math.sin(theta),
+            y: vAirTangential * Math.cos(theta)
+        };
     }
     
     handleCollisions() {
-        const ballDist = Math.sqrt(this.ball.x * this.ball.x + this.ball.y * this.ball.y);
+        this.balls.forEach(ball => {
+            this.checkWallCollision(ball);
+            this.checkVaneCollisions(ball);
+        });
+        
+        // Balls bounce off each other last, after walls and vanes have pushed them back inside
+        this.checkBallCollisions();
+    }
+    
+    checkWallCollision(ball) {
+        if (this.wallSegments.length > 0) {
+            this.checkWallSegments(ball);
+            return;
+        }
+        
+        const ballDist = Math.sqrt(ball.x * ball.x + ball.y * ball.y);
         
         // Check collision with drum wall
-        if (ballDist + this.ball.radius > this.drumRadius) {
-            const penetration = ballDist + this.ball.radius - this.drumRadius;
+        if (ballDist + ball.radius > this.drumRadius) {
+            const penetration = ballDist + ball.radius - this.drumRadius;
             
             // Normal vector (pointing toward center)
-            const nx = -this.ball.x / ballDist;
-            const ny = -this.ball.y / ballDist;
+            const nx = -ball.x / ballDist;
+            const ny = -ball.y / ballDist;
             
             // Move ball back to surface
-            this.ball.x += nx * penetration;
-            this.ball.y += ny * penetration;
+            ball.x += nx * penetration;
+            ball.y += ny * penetration;
             
             // Calculate relative velocity normal to surface
-            const vn = this.ball.vx * nx + this.ball.vy * ny;
+            const vn = ball.vx * nx + ball.vy * ny;
             
             if (vn < 0) { // Moving into wall
                 // IMPORTANT: Calculate which segment BEFORE moving ball back
                 // Otherwise ball gets pushed into adjacent segment at boundaries
-                const ballAngle = Math.atan2(this.ball.y, this.ball.x);
-                const anglePerSegment = (2 * Math.PI) / this.vaneCount;
-                
-                // Normalize angle to [0, 2π)
-                let normalizedAngle = ballAngle;
-                if (normalizedAngle < 0) normalizedAngle += 2 * Math.PI;
-                
-                // Calculate segment index using floor (standard binning)
-                let segmentIndex = Math.floor(normalizedAngle / anglePerSegment) % this.vaneCount;
-                
-                // Now reflect velocity with restitution
-                this.ball.vx -= (1 + this.ball.restitution) * vn * nx;
-                this.ball.vy -= (1 + this.ball.restitution) * vn * ny;
-                
-                // Apply offset if visual doesn't match physics
-                segmentIndex = (segmentIndex + this.segmentIndexOffset) % this.vaneCount;
-                if (segmentIndex < 0) segmentIndex += this.vaneCount;
-                
-                // Find the surface object
-                const surface = this.surfaces.find(s => s.type === 'drum' && s.index === segmentIndex);
-                
-                if (surface) {
-                    // Debug logging (temporary - can remove later)
-                    if (window.dryerDebugMode) {
-                        console.log(`🎯 Drum collision: angle=${(normalizedAngle*180/Math.PI).toFixed(2)}° → segment ${segmentIndex} (before offset: ${Math.floor(normalizedAngle / anglePerSegment)}) → ID: ${surface.id}`);
-                    }
-                    this.triggerCollision(surface, Math.abs(vn));
-                }
+                const ballAngle = Math.atan2(ball.y, ball.x);
+                this.resolveImpact(ball, nx, ny, vn, this.getWallSurface(ball, ballAngle));
             }
         }
-        
-        // Check collision with vanes
-        this.checkVaneCollisions();
     }
     
-    checkVaneCollisions() {
-        const vaneInnerRadius = this.drumRadius * (1 - this.vaneHeight);
+    // Polygon and ellipse drums: the wall is a closed list of segments.
+    // Only the deepest contact counts, so a ball in a corner makes one hit, not two.
+    checkWallSegments(ball) {
+        let deepest = null;
         
-        for (let i = 0; i < this.vaneCount; i++) {
-            const vaneAngle = (i / this.vaneCount) * 2 * Math.PI;
-            
-            // Vane is a line segment from inner radius to drum radius
-            const vx1 = vaneInnerRadius * Math.cos(vaneAngle);
-            const vy1 = vaneInnerRadius * Math.sin(vaneAngle);
-            const vx2 = this.drumRadius * Math.cos(vaneAngle);
-            const vy2 = this.drumRadius * Math.sin(vaneAngle);
+        this.wallSegments.forEach(wall => {
+            // Signed distance from the wall line (positive = inside the drum)
+            const inside = (ball.x - wall.x1) * wall.nx + (ball.y - wall.y1) * wall.ny;
+            if (inside >= ball.radius) return;
             
-            // Vector from vane start to ball
-            const dx = this.ball.x - vx1;
-            const dy = this.ball.y - vy1;
+            const dx = wall.x2 - wall.x1;
+            const dy = wall.y2 - wall.y1;
+            const t = Math.max(0, Math.min(1, ((ball.x - wall.x1) * dx + (ball.y - wall.y1) * dy) / (dx * dx + dy * dy)));
+            const closestX = wall.x1 + t * dx;
+            const closestY = wall.y1 + t * dy;
+            const dist = Math.hypot(ball.x - closestX, ball.y - closestY);
             
-            // Vane direction vector
-            const vdx = vx2 - vx1;
-            const vdy = vy2 - vy1;
-            const vaneLength = Math.sqrt(vdx * vdx + vdy * vdy);
+            let contact;
+            if (inside < 0) {
+                // Escaped through the wall (fast ball): push straight back in
+                contact = { nx: wall.nx, ny: wall.ny, penetration: ball.radius - inside };
+            } else if (dist < ball.radius && dist > 0) {
+                // Touching the segment, or one of its corners
+                contact = { nx: (ball.x - closestX) / dist, ny: (ball.y - closestY) / dist, penetration: ball.radius - dist };
+            } else {
+                return;
+            }
+            if (!deepest || contact.penetration > deepest.penetration) deepest = contact;
+        });
+        
+        if (!deepest) return;
+        
+        ball.x += deepest.nx * deepest.penetration;
+        ball.y += deepest.ny * deepest.penetration;
+        
+        const vn = ball.vx * deepest.nx + ball.vy * deepest.ny;
+        if (vn < 0) {
+            this.resolveImpact(ball, deepest.nx, deepest.ny, vn, this.getWallSurface(ball, Math.atan2(ball.y, ball.x)));
+        }
+    }
+    
+    // The drum surface (segment between two vanes) at the given angle
+    getWallSurface(ball, ballAngle) {
+        let segmentIndex = this.getDrumSegmentIndex(ballAngle);
+        
+        // Apply offset if visual doesn't match physics
+        segmentIndex = (segmentIndex + this.segmentIndexOffset) % this.vaneCount;
+        if (segmentIndex < 0) segmentIndex += this.vaneCount;
+        
+        // Find the surface object
+        const surface = this.surfaces.find(s => s.type === 'drum' && s.index === segmentIndex);
+        
+        if (surface && this.logCollisions) {
+            console.log(`🎯 Drum collision: ball ${ball.id}, angle=${(ballAngle * 180 / Math.PI).toFixed(2)}° → segment ${segmentIndex} → ID: ${surface.id}`);
+        }
+        return surface;
+    }
+    
+    /**
+     * Bounce off a surface with Coulomb friction at the contact point (impulses per unit mass).
+     * n = unit normal from the surface toward the ball center, vn = velocity along n (< 0).
+     * Fast impacts bounce and play a note; slow ones are resting contact - no bounce and no
+     * retrigger while the ball stays on the same surface, just scrape events (see updateContact).
+     */
+    resolveImpact(ball, nx, ny, vn, surface) {
+        const resting = -vn < RESTING_SPEED;
+        const jn = -(1 + (resting ? 0 : this.getRestitution(ball))) * vn;
+        ball.vx += jn * nx;
+        ball.vy += jn * ny;
+        
+        // Tangent direction and slip speed of the contact point (ball surface velocity included)
+        const tx = -ny;
+        const ty = nx;
+        if (this.enableFriction) {
+            const slip = ball.vx * tx + ball.vy * ty - ball.omega * ball.radius;
             
-            // Project ball onto vane line
-            const t = (dx * vdx + dy * vdy) / (vaneLength * vaneLength);
+            // Impulse that would stop the slip outright (rolling), capped by Coulomb: |jt| <= μ·jn
+            const maxImpulse = ball.friction * jn;
+            const jt = Math.max(-maxImpulse, Math.min(maxImpulse, -slip / (1 + 1 / ball.inertia)));
             
-            if (t >= 0 && t <= 1) {
-                // Closest point on vane
-                const closestX = vx1 + t * vdx;
-                const closestY = vy1 + t * vdy;
+            ball.vx += jt * tx;
+            ball.vy += jt * ty;
+            ball.omega -= jt / (ball.inertia * ball.radius);
+        }
+        
+        if (!surface) return;
+        
+        const contact = ball.contacts.get(surface);
+        const touching = contact && this.simTime - contact.lastSeen <= CONTACT_GRACE;
+        
+        if (!(resting && touching)) {
+            this.triggerCollision(surface, Math.abs(vn), ball);
+        }
+        
+        ball.contacts.set(surface, {
+            lastSeen: this.simTime,
+            lastScrape: touching ? contact.lastScrape : this.simTime,
+            resting: resting,
+            speed: Math.abs(ball.vx * tx + ball.vy * ty) // along the surface
+        });
+    }
+    
+    // While a ball rests on a surface, report how fast it rolls/slides along it (throttled),
+    // and report 0 once it has left the surface
+    updateContact(ball) {
+        ball.contacts.forEach((contact, surface) => {
+            if (this.simTime - contact.lastSeen > CONTACT_GRACE) {
+                ball.contacts.delete(surface);
+                if (contact.resting) this.triggerScrape(surface, 0, ball);
+            } else if (contact.resting && this.simTime - contact.lastScrape >= SCRAPE_INTERVAL) {
+                contact.lastScrape = this.simTime;
+                this.triggerScrape(surface, contact.speed, ball);
+            }
+        });
+    }
+    
+    triggerScrape(surface, speed, ball) {
+        if (this.scrapeCallbacks.length === 0) return;
+        
+        const hit = {
+            ballId: ball.id,
+            time: this.simTime,
+            angle: Math.atan2(ball.y, ball.x) + this.drumAngle
+        };
+        this.scrapeCallbacks.forEach(cb => cb(surface, speed, hit));
+    }
+    
+    checkVaneCollisions(ball) {
+        this.vanes.forEach(vane => {
+            // Each vane is a chain of segments from its tip to the wall (one for a straight vane)
+            vane.segments.forEach(segment => {
+                // Vector from segment start to ball
+                const dx = ball.x - segment.x1;
+                const dy = ball.y - segment.y1;
+                
+                // Segment direction vector
+                const vdx = segment.x2 - segment.x1;
+                const vdy = segment.y2 - segment.y1;
+                const vaneLength = Math.sqrt(vdx * vdx + vdy * vdy);
+                
+                // Project ball onto segment line
+                const t = (dx * vdx + dy * vdy) / (vaneLength * vaneLength);
+                if (t < 0 || t > 1) return;
+                
+                // Closest point on the segment
+                const closestX = segment.x1 + t * vdx;
+                const closestY = segment.y1 + t * vdy;
                 
                 // Distance from ball to vane
-                const distX = this.ball.x - closestX;
-                const distY = this.ball.y - closestY;
+                const distX = ball.x - closestX;
+                const distY = ball.y - closestY;
                 const dist = Math.sqrt(distX * distX + distY * distY);
                 
-                if (dist < this.ball.radius) {
-                    // Collision detected
-                    const penetration = this.ball.radius - dist;
-                    
-                    // Normal vector (perpendicular to vane)
-                    let nx = distX / dist;
-                    let ny = distY / dist;
+                if (dist >= ball.radius) return;
+                
+                // Collision detected
+                const penetration = ball.radius - dist;
+                
+                // Normal vector (perpendicular to vane)
+                const nx = distX / dist;
+                const ny = distY / dist;
+                
+                // Move ball out of vane
+                ball.x += nx * penetration;
+                ball.y += ny * penetration;
+                
+                // Calculate relative velocity
+                const vn = ball.vx * nx + ball.vy * ny;
+                
+                if (vn < 0) {
+                    // Determine which side of vane (leading or trailing)
+                    const perpX = -vdy / vaneLength;
+                    const perpY = vdx / vaneLength;
+                    const side = (dx * perpX + dy * perpY) > 0 ? 'vane_leading' : 'vane_trailing';
                     
-                    // Move ball out of vane
-                    this.ball.x += nx * penetration;
-                    this.ball.y += ny * penetration;
+                    const surface = this.surfaces.find(s => s.type === side && s.index === vane.index);
+                    this.resolveImpact(ball, nx, ny, vn, surface);
+                }
+            });
+        });
+    }
+    
+    checkBallCollisions() {
+        for (let i = 0; i < this.balls.length; i++) {
+            for (let j = i + 1; j < this.balls.length; j++) {
+                const a = this.balls[i];
+                const b = this.balls[j];
+                
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                const minDist = a.radius + b.radius;
+                
+                if (dist >= minDist || dist < 0.0001) continue;
+                
+                // Normal vector (from a toward b)
+                const nx = dx / dist;
+                const ny = dy / dist;
+                
+                // Separate the balls, the lighter one moves further
+                const invMassA = 1 / a.mass;
+                const invMassB = 1 / b.mass;
+                const penetration = minDist - dist;
+                const shareA = invMassA / (invMassA + invMassB);
+                a.x -= nx * penetration * shareA;
+                a.y -= ny * penetration * shareA;
+                b.x += nx * penetration * (1 - shareA);
+                b.y += ny * penetration * (1 - shareA);
+                
+                // Relative velocity along the normal
+                const vn = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+                
+                if (vn < 0) { // Approaching each other
+                    // Impulse exchange conserves momentum; the softer ball sets the bounce
+                    const restitution = Math.min(this.getRestitution(a), this.getRestitution(b));
+                    const impulse = -(1 + restitution) * vn / (invMassA + invMassB);
                     
-                    // Calculate relative velocity
-                    const vn = this.ball.vx * nx + this.ball.vy * ny;
+                    a.vx -= impulse * invMassA * nx;
+                    a.vy -= impulse * invMassA * ny;
+                    b.vx += impulse * invMassB * nx;
+                    b.vy += impulse * invMassB * ny;
                     
-                    if (vn < 0) {
-                        // Reflect velocity
-                        this.ball.vx -= (1 + this.ball.restitution) * vn * nx;
-                        this.ball.vy -= (1 + this.ball.restitution) * vn * ny;
-                        
-                        // Determine which side of vane (leading or trailing)
-                        const perpX = -vdy / vaneLength;
-                        const perpY = vdx / vaneLength;
-                        const side = (dx * perpX + dy * perpY) > 0 ? 'vane_leading' : 'vane_trailing';
-                        
-                        const surface = this.surfaces.find(s => s.type === side && s.index === i);
-                        if (surface) {
-                            this.triggerCollision(surface, Math.abs(vn));
-                        }
-                    }
                 }
+                
+                // A hit is two balls coming together - balls lying or jammed against each other
+                // are in contact, and stay silent until they have been apart for CONTACT_GRACE
+                const lastSeen = a.ballContacts.get(b);
+                const touching = lastSeen !== undefined && this.simTime - lastSeen <= CONTACT_GRACE;
+                if (!touching && -vn >= RESTING_SPEED) {
+                    this.triggerCollision(this.ballSurface, -vn, a, b);
+                }
+                a.ballContacts.set(b, this.simTime);
             }
         }
     }
     
-    triggerCollision(surface, velocity) {
+    // otherBall is the second ball of a ball-on-ball hit (surface = ballSurface)
+    triggerCollision(surface, velocity, ball, otherBall = null) {
         // Apply lint trap filter if enabled
         if (this.lintTrapEnabled && velocity < this.lintTrapThreshold) {
             return; // Ignore low-velocity collisions
         }
         
-        // Debounce rapid collisions with same surface
-        if (this.lastCollisionSurface === surface.id) {
+        // Debounce rapid collisions with same surface (measured in sim time, not wall-clock)
+        if (ball.lastCollisionSurface === surface.id &&
+            this.simTime - ball.lastCollisionTime < this.collisionDebounce) {
             return;
         }
         
-        this.lastCollisionSurface = surface.id;
-        setTimeout(() => {
-            if (this.lastCollisionSurface === surface.id) {
-                this.lastCollisionSurface = null;
-            }
-        }, 50);
+        ball.lastCollisionSurface = surface.id;
+        ball.lastCollisionTime = this.simTime;
         
-        // Notify all listeners
-        this.collisionCallbacks.forEach(cb => cb(surface, velocity));
+        // Notify all listeners - hit details say which ball made the sound, when (sim time)
+        // and where: angle around the drum center in the lab frame (0 = right, PI/2 = top)
+        const hit = {
+            ballId: ball.id,
+            time: this.simTime,
+            angle: Math.atan2(ball.y, ball.x) + this.drumAngle
+        };
+        if (otherBall) hit.otherBallId = otherBall.id;
+        this.collisionCallbacks.forEach(cb => cb(surface, velocity, hit));
     }
     
-    // Get ball position in screen coordinates (for rendering)
-    getBallPosition(canvasSize) {
+    // Get ball position in screen coordinates (for rendering).
+    // viewAngle is how far the drum is turned on screen: drumAngle for the room's view, 0 to ride along with the drum.
+    getBallPosition(canvasSize, index = 0, viewAngle = this.drumAngle) {
+        const ball = this.balls[index];
         const scale = canvasSize / (this.drumRadius * 2.2);
         const centerX = canvasSize / 2;
         const centerY = canvasSize / 2;
         
         // Transform from rotating frame to screen coordinates
-        const cos = Math.cos(this.drumAngle);
-        const sin = Math.sin(this.drumAngle);
-        const screenX = this.ball.x * cos - this.ball.y * sin;
-        const screenY = this.ball.x * sin + this.ball.y * cos;
+        const cos = Math.cos(viewAngle);
+        const sin = Math.sin(viewAngle);
+        const screenX = ball.x * cos - ball.y * sin;
+        const screenY = ball.x * sin + ball.y * cos;
         
         return {
             x: centerX + screenX * scale,
             y: centerY - screenY * scale,
-            radius: this.ball.radius * scale
+            radius: ball.radius * scale,
+            rotation: ball.rotation + viewAngle, // spin angle on screen (counter-clockwise)
+            type: ball.type,
+            id: ball.id
         };
     }
     
-    // Get vane positions for rendering
-    getVanePositions(canvasSize) {
+    getBallPositions(canvasSize, viewAngle = this.drumAngle) {
+        return this.balls.map((ball, index) => this.getBallPosition(canvasSize, index, viewAngle));
+    }
+    
+    // Drum-frame meters -> canvas pixels (the drum fills the canvas with a 10% margin)
+    toScreen(x, y, canvasSize, viewAngle = this.drumAngle) {
         const scale = canvasSize / (this.drumRadius * 2.2);
-        const centerX = canvasSize / 2;
-        const centerY = canvasSize / 2;
-        const vaneInnerRadius = this.drumRadius * (1 - this.vaneHeight);
+        const cos = Math.cos(viewAngle);
+        const sin = Math.sin(viewAngle);
+        return {
+            x: canvasSize / 2 + (x * cos - y * sin) * scale,
+            y: canvasSize / 2 - (x * sin + y * cos) * scale
+        };
+    }
+    
+    // Canvas pixels -> drum-frame meters (for the vane editor)
+    fromScreen(screenX, screenY, canvasSize, viewAngle = this.drumAngle) {
+        const scale = canvasSize / (this.drumRadius * 2.2);
+        const labX = (screenX - canvasSize / 2) / scale;
+        const labY = (canvasSize / 2 - screenY) / scale;
+        const cos = Math.cos(viewAngle);
+        const sin = Math.sin(viewAngle);
+        return { x: labX * cos + labY * sin, y: -labX * sin + labY * cos };
+    }
+    
+    // Get vane positions for rendering: tip (inner) and base (outer) ends plus the full outline
+    getVanePositions(canvasSize, viewAngle = this.drumAngle) {
+        return this.vanes.map(vane => {
+            const inner = this.toScreen(vane.tip.x, vane.tip.y, canvasSize, viewAngle);
+            const outer = this.toScreen(vane.base.x, vane.base.y, canvasSize, viewAngle);
+            const curve = this.toScreen(vane.tip.x * 0.25 + vane.control.x * 0.5 + vane.base.x * 0.25,
+                                        vane.tip.y * 0.25 + vane.control.y * 0.5 + vane.base.y * 0.25, canvasSize, viewAngle);
+            return {
+                innerX: inner.x, innerY: inner.y,
+                outerX: outer.x, outerY: outer.y,
+                curveX: curve.x, curveY: curve.y, // middle of the vane, where the editor's bend handle sits
+                points: vane.points.map(p => this.toScreen(p.x, p.y, canvasSize, viewAngle)),
+                index: vane.index
+            };
+        });
+    }
+    
+    // Drum wall pieces between the vanes, as screen-space polylines: [{ index, points }]
+    getWallOutline(canvasSize, viewAngle = this.drumAngle) {
+        const order = this.vaneOrder;
+        const corners = this.drumShape.type === 'polygon' ? this.drumShape.sides : 0;
+        const step = Math.PI / 90; // 2° - plenty for the round and elliptical walls
         
-        const vanes = [];
-        for (let i = 0; i < this.vaneCount; i++) {
-            const angle = (i / this.vaneCount) * 2 * Math.PI + this.drumAngle;
+        return order.map((start, i) => {
+            const end = order.length === 1 ? start.angle + 2 * Math.PI
+                : (i + 1 < order.length ? order[i + 1].angle : order[0].angle + 2 * Math.PI);
             
-            const innerX = centerX + vaneInnerRadius * Math.cos(angle) * scale;
-            const innerY = centerY - vaneInnerRadius * Math.sin(angle) * scale;
-            const outerX = centerX + this.drumRadius * Math.cos(angle) * scale;
-            const outerY = centerY - this.drumRadius * Math.sin(angle) * scale;
+            const angles = [start.angle];
+            for (let a = start.angle + step; a < end; a += step) angles.push(a);
+            for (let k = 0; k < corners * 2; k++) {
+                // Polygon corners inside this piece, so the outline doesn't cut them off
+                const corner = (k / corners) * 2 * Math.PI;
+                if (corner > start.angle && corner < end) angles.push(corner);
+            }
+            angles.push(end);
+            angles.sort((a, b) => a - b);
             
-            vanes.push({ innerX, innerY, outerX, outerY, index: i });
-        }
-        
-        return vanes;
+            return {
+                index: start.index,
+                points: angles.map(a => {
+                    const r = this.getWallRadius(a);
+                    return this.toScreen(r * Math.cos(a), r * Math.sin(a), canvasSize, viewAngle);
+                })
+            };
+        });
     }
     
     // Get debug information
@@ -517,11 +1662,18 @@ class DryerPhysics {
         return {
             ...this.debugInfo,
             rpm: this.rpm,
+            seed: this.seed,
+            simTime: this.simTime.toFixed(3),
             angularVel: this.drumAngularVelocity.toFixed(3),
+            drumRpm: (this.drumAngularVelocity * 60 / (2 * Math.PI)).toFixed(1),
+            angularAccel: this.drumAngularAcceleration.toFixed(3),
+            ballCount: this.balls.length,
             ballMass: this.ball.mass,
             ballRadius: this.ball.radius,
             position: `(${this.ball.x.toFixed(3)}, ${this.ball.y.toFixed(3)})`,
-            velocity: `(${this.ball.vx.toFixed(3)}, ${this.ball.vy.toFixed(3)})`
+            velocity: `(${this.ball.vx.toFixed(3)}, ${this.ball.vy.toFixed(3)})`,
+            spin: this.ball.omega.toFixed(2),
+            contacts: [...this.ball.contacts.keys()].map(surface => surface.id).join(', ') || 'none'
         };
     }
     
@@ -547,6 +1699,18 @@ class DryerPhysics {
         return this.enableAirDrag;
     }
     
+    toggleEuler(enable) {
+        this.enableEuler = enable !== undefined ? enable : !this.enableEuler;
+        console.log(`⏩ Euler force: ${this.enableEuler ? 'ENABLED' : 'DISABLED'}`);
+        return this.enableEuler;
+    }
+    
+    toggleFriction(enable) {
+        this.enableFriction = enable !== undefined ? enable : !this.enableFriction;
+        console.log(`🧲 Friction & spin: ${this.enableFriction ? 'ENABLED' : 'DISABLED'}`);
+        return this.enableFriction;
+    }
+    
     flipCoriolisSign() {
         this.coriolisSignFlip = (this.coriolisSignFlip || 1) * -1;
         console.log(`🔄 Coriolis sign: ${this.coriolisSignFlip > 0 ? 'POSITIVE' : 'NEGATIVE'}`);
@@ -558,6 +1722,8 @@ class DryerPhysics {
         console.log(`🌀 Coriolis: ${this.enableCoriolis ? 'ON' : 'OFF'} (sign: ${(this.coriolisSignFlip || 1) > 0 ? '+' : '-'})`);
         console.log(`💫 Centrifugal: ${this.enableCentrifugal ? 'ON' : 'OFF'}`);
         console.log(`💨 Air drag: ${this.enableAirDrag ? 'ON' : 'OFF'} (vane-coupled)`);
+        console.log(`🧲 Friction & spin: ${this.enableFriction ? 'ON' : 'OFF'}`);
+        console.log(`⏩ Euler force: ${this.enableEuler ? 'ON' : 'OFF'} (speed profile: ${this.speedProfile.mode})`);
         console.log(`⚙️  RPM: ${this.rpm}`);
         console.log(`📏 Ball: ${(this.ball.radius * 100).toFixed(1)}cm, ${(this.ball.mass * 1000).toFixed(1)}g`);
         console.log('====================');
@@ -574,6 +1740,7 @@ class DryerPhysics {
         this.enableCoriolis = false;
         this.enableCentrifugal = true;
         this.enableAirDrag = true;
+        this.enableFriction = false;
         console.log('✅ Reverted to ORIGINAL physics (no Coriolis)');
         this.showPhysicsState();
     }
@@ -582,6 +1749,7 @@ class DryerPhysics {
         this.enableCoriolis = true;
         this.enableCentrifugal = true;
         this.enableAirDrag = true;
+        this.enableFriction = true;
         console.log('✅ Enabled ENHANCED physics (all forces)');
         this.showPhysicsState();
     }
@@ -595,231 +1763,11 @@ class DryerPhysics {
     }
 }
 
-// ===================================================================
-// GLOBAL CONSOLE SHORTCUTS - For easy debugging
-// ===================================================================
-// These will be available in browser console as window.dryerDebug
-
-window.dryerDebug = {
-    help: function() {
-        console.log(`
-╔══════════════════════════════════════════════════════════════════╗
-║                   DRYER PHYSICS DEBUG CONSOLE                    ║
-╚══════════════════════════════════════════════════════════════════╝
-
-QUICK COMMANDS (copy/paste into console):
-─────────────────────────────────────────────────────────────────────
-
-📊 SHOW CURRENT STATE:
-   dryerDebug.show()
-
-🔄 TOGGLE INDIVIDUAL FORCES:
-   dryerDebug.coriolis()        - Toggle Coriolis force
-   dryerDebug.centrifugal()     - Toggle centrifugal force  
-   dryerDebug.drag()            - Toggle air drag (vane-coupled)
-   dryerDebug.flipCoriolis()    - Flip Coriolis sign (+/-)
-
-🎯 QUICK PRESETS:
-   dryerDebug.original()        - Original physics (baseline)
-   dryerDebug.enhanced()        - Enhanced physics (all features)
-   dryerDebug.gravityOnly()     - Only gravity (debug mode)
-
-🎈 BALL TYPES:
-   dryerDebug.tennis()          - Tennis ball (default)
-   dryerDebug.sandbag()         - Sandbag (10cm, 500g, low bounce)
-   dryerDebug.balloon()         - Balloon (15cm, 1g, buoyant)
-   dryerDebug.baseball()        - Baseball (heavier)
-   dryerDebug.pingPong()        - Ping pong ball (very light)
-
-🌙 NEW FEATURES:
-   dryerDebug.moon()            - Toggle moon gravity (1/6th Earth)
-   dryerDebug.lintTrap()        - Toggle velocity filter
-
-🧪 ISOLATE FORCES (test one at a time):
-   dryerDebug.testCoriolis()    - ONLY Coriolis + Gravity
-   dryerDebug.testCentrifugal() - ONLY Centrifugal + Gravity
-
-📝 EXAMPLES:
-   dryerDebug.show()            // See what's currently enabled
-   dryerDebug.sandbag()         // Switch to sandbag
-   dryerDebug.moon()            // Enable moon gravity
-   dryerDebug.lintTrap()        // Filter low-velocity hits
-   
-─────────────────────────────────────────────────────────────────────
-        `);
-    },
-    
-    // Access physics engine
-    get physics() {
-        return window.dryerApp?.physics;
-    },
-    
-    // Show state
-    show: function() {
-        return this.physics?.showPhysicsState();
-    },
-    
-    // Toggle individual forces
-    coriolis: function() {
-        return this.physics?.toggleCoriolis();
-    },
-    
-    centrifugal: function() {
-        return this.physics?.toggleCentrifugal();
-    },
-    
-    drag: function() {
-        return this.physics?.toggleDrag();
-    },
-    
-    flipCoriolis: function() {
-        return this.physics?.flipCoriolisSign();
-    },
-    
-    // Presets
-    original: function() {
-        this.physics?.originalPhysics();
-    },
-    
-    enhanced: function() {
-        this.physics?.enhancedPhysics();
-    },
-    
-    gravityOnly: function() {
-        this.physics?.onlyGravity();
-    },
-    
-    // Test modes - isolate individual forces
-    testCoriolis: function() {
-        this.physics.enableCoriolis = true;
-        this.physics.enableCentrifugal = false;
-        this.physics.enableAirDrag = false;
-        console.log('🧪 TEST MODE: Only Coriolis + Gravity');
-        this.show();
-    },
-    
-    testCentrifugal: function() {
-        this.physics.enableCoriolis = false;
-        this.physics.enableCentrifugal = true;
-        this.physics.enableAirDrag = false;
-        console.log('🧪 TEST MODE: Only Centrifugal + Gravity');
-        this.show();
-    },
-    
-    // Ball property adjustments
-    setBall: function(radius, mass) {
-        if (radius) this.physics.ball.radius = radius;
-        if (mass) this.physics.ball.mass = mass;
-        console.log(`⚽ Ball updated: ${(this.physics.ball.radius*100).toFixed(1)}cm, ${(this.physics.ball.mass*1000).toFixed(1)}g`);
-    },
-    
-    // Presets for different ball types
-    tennisBall: function() {
-        this.setBall(0.035, 0.058);
-        this.physics.ball.dragCoeff = 0.55;
-        console.log('🎾 Tennis ball');
-    },
-    
-    baseball: function() {
-        this.setBall(0.037, 0.145);
-        this.physics.ball.dragCoeff = 0.47;
-        console.log('⚾ Baseball');
-    },
-    
-    pingPong: function() {
-        this.setBall(0.020, 0.0027);
-        this.physics.ball.dragCoeff = 0.47;
-        console.log('🏓 Ping pong ball');
-    },
-    
-    sandbag: function() {
-        this.physics.setSandbagBall();
-    },
-
-    balloon: function() {
-        this.physics.setBalloonBall();
-    },
-
-    tennis: function() {
-        this.physics.setTennisBall();
-    },
-    
-    // Feature toggles
-    lintTrap: function(enabled) {
-        if (enabled === undefined) {
-            this.physics.lintTrapEnabled = !this.physics.lintTrapEnabled;
-        } else {
-            this.physics.lintTrapEnabled = enabled;
-        }
-        console.log(`🧺 Lint trap: ${this.physics.lintTrapEnabled ? 'ON' : 'OFF'} (threshold: ${this.physics.lintTrapThreshold} m/s)`);
-        return this.physics.lintTrapEnabled;
-    },
-    
-    moon: function(enabled) {
-        if (enabled === undefined) {
-            this.physics.moonGravityEnabled = !this.physics.moonGravityEnabled;
-        } else {
-            this.physics.moonGravityEnabled = enabled;
-        }
-        this.physics.gravity = this.physics.moonGravityEnabled ? this.physics.moonGravity : this.physics.earthGravity;
-        console.log(`🌙 Moon gravity: ${this.physics.moonGravityEnabled ? 'ON (1.635 m/s²)' : 'OFF (9.81 m/s²)'}`);
-        return this.physics.moonGravityEnabled;
-    },
-    
-    // Debug collision highlighting
-    debugCollisions: function() {
-        window.dryerDebugMode = !window.dryerDebugMode;
-        console.log(`🔍 Collision logging: ${window.dryerDebugMode ? 'ON' : 'OFF'}`);
-        if (window.dryerDebugMode) {
-            console.log('Watch for: 🎯 messages showing segment calculations');
-        }
-        return window.dryerDebugMode;
-    },
-    
-    // Show where ball currently is
-    whereBall: function() {
-        const p = this.physics;
-        const ballAngle = Math.atan2(p.ball.y, p.ball.x);
-        const angleDeg = (ballAngle * 180 / Math.PI).toFixed(1);
-        const normalizedAngle = ballAngle < 0 ? ballAngle + 2*Math.PI : ballAngle;
-        const normalizedDeg = (normalizedAngle * 180 / Math.PI).toFixed(1);
-        const anglePerSegment = (2 * Math.PI) / p.vaneCount;
-        const segmentIndex = Math.floor(normalizedAngle / anglePerSegment) % p.vaneCount;
-        const drumAngleDeg = (p.drumAngle * 180 / Math.PI).toFixed(1);
-        const worldAngleDeg = ((normalizedAngle + p.drumAngle) * 180 / Math.PI).toFixed(1);
-        
-        console.log('=== BALL POSITION ===');
-        console.log(`Rotating frame: ${normalizedDeg}° (segment ${segmentIndex})`);
-        console.log(`World frame: ${worldAngleDeg}° (drum rotated ${drumAngleDeg}°)`);
-        console.log(`Ball coords: (${p.ball.x.toFixed(3)}, ${p.ball.y.toFixed(3)})`);
-        console.log(`Distance from center: ${Math.sqrt(p.ball.x**2 + p.ball.y**2).toFixed(3)}m`);
-        console.log(`Drum radius: ${p.drumRadius}m`);
-        console.log('====================');
-        
-        // Show which segment SHOULD be highlighted
-        const surface = p.surfaces.find(s => s.type === 'drum' && s.index === segmentIndex);
-        if (surface) {
-            console.log(`Should highlight: ${surface.id}`);
-        }
-    },
-    
-    // Adjust segment offset to fix visual mismatch
-    fixSegmentOffset: function(offset) {
-        if (offset === undefined) {
-            console.log(`Current segment offset: ${this.physics.segmentIndexOffset}`);
-            console.log('Usage: dryerDebug.fixSegmentOffset(+1) or dryerDebug.fixSegmentOffset(-1)');
-            console.log('Try adjusting by ±1 until visual matches collision');
-            return this.physics.segmentIndexOffset;
-        }
-        this.physics.segmentIndexOffset = offset;
-        console.log(`✅ Segment offset set to: ${offset}`);
-        console.log('Watch collisions to see if this fixes the visual mismatch');
-        return offset;
-    }
-};
-
-// Show help on load
-console.log('╔════════════════════════════════════════════════════════════╗');
-console.log('║  🔬 Dryer Physics Debug Console Loaded!                   ║');
-console.log('║  Type: dryerDebug.help()  for available commands         ║');
-console.log('╚════════════════════════════════════════════════════════════╝');
+// Node / headless use: `const { DryerPhysics } = require('./dryer-physics.js')`
+// In the browser this file is a plain script and these stay globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DryerPhysics, DryerRandom, DRYER_BALL_PRESETS, DRYER_BALL_LIMITS, DRYER_MAX_BALLS, DRYER_PARAMETER_LIMITS, DRYER_DRUM_SHAPES, DRYER_SPEED_PROFILES,
+        DRYER_INTEGRATORS, DRYER_COLLISION_MODES, DRYER_SUBSTEP_OPTIONS, FAST_FORWARD_SLICE
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Dryer Quantizer
+ * Optional timing stage between physics and audio: delays each collision onto a
+ * tempo grid (with strength, swing and humanize) so the chaotic physics can feed tight grooves.
+ *
+ * A live quantizer can only push notes later, never earlier, so each hit moves
+ * toward the NEXT grid line. Hits are scheduled ahead via AudioContext time and
+ * MIDI timestamps, counted from the end of the physics batch they were found in
+ * (see getDelay), so the extra delay costs no timing accuracy.
+ */
+
+const DRYER_QUANTIZE_GRIDS = [
+    { label: '1/8',   stepsPerBeat: 2 },
+    { label: '1/8T',  stepsPerBeat: 3 },
+    { label: '1/16',  stepsPerBeat: 4 },
+    { label: '1/16T', stepsPerBeat: 6 },
+];
+
+class DryerQuantizer {
+    constructor() {
+        this.enabled = false;
+        this.gridIndex = 2;  // 1/16
+        this.strength = 100; // % of the way to the grid line (0 = untouched, 100 = hard quantize)
+        this.swing = 0;      // % - delays every other step, 100% = triplet shuffle
+        this.humanize = 0;   // % - random timing spread, up to ±1/4 step
+        this.bpm = 120;
+
+        // Humanize uses the seeded generator so a seed still reproduces the same take
+        this.random = new DryerRandom(1);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    setBpm(bpm) {
+        this.bpm = bpm;
+    }
+
+    reset(seed) {
+        this.random.setSeed(seed);
+    }
+
+    // Grid is stored by label so patches stay readable
+    getConfig() {
+        return {
+            enabled: this.enabled,
+            grid: DRYER_QUANTIZE_GRIDS[this.gridIndex].label,
+            strength: this.strength,
+            swing: this.swing,
+            humanize: this.humanize
+        };
+    }
+    
+    applyConfig(config) {
+        const next = { ...this.getConfig(), ...config };
+        const gridIndex = DRYER_QUANTIZE_GRIDS.findIndex(grid => grid.label === next.grid);
+        
+        this.enabled = !!next.enabled;
+        if (gridIndex >= 0) this.gridIndex = gridIndex;
+        this.strength = this.clampPercent(next.strength, this.strength);
+        this.swing = this.clampPercent(next.swing, this.swing);
+        this.humanize = this.clampPercent(next.humanize, this.humanize);
+    }
+    
+    // Patch values are untrusted: keep 0-100, and the current value for anything that isn't a number
+    clampPercent(value, fallback) {
+        return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : fallback;
+    }
+    
+    get stepDuration() {
+        return 60 / this.bpm / DRYER_QUANTIZE_GRIDS[this.gridIndex].stepsPerBeat;
+    }
+
+    // Grid position of a step, with swing applied to the off-beat (odd) steps
+    stepTime(index) {
+        const step = this.stepDuration;
+        const swingOffset = index % 2 === 1 ? step * (this.swing / 100) / 3 : 0;
+        return index * step + swingOffset;
+    }
+
+    // Delay in seconds, counted from `now`, that puts a hit at `time` (seconds since the transport
+    // started) where the grid wants it. Live, a frame's hits are found in one physics batch and
+    // scheduled from the sim time at its end (now), so a hit early in the batch isn't late by the
+    // rest of it. Offline rendering schedules each hit at its own time, the default.
+    getDelay(time, now = time) {
+        if (!this.enabled) return 0;
+
+        const step = this.stepDuration;
+
+        // Next grid line at or after the hit - a swung off-beat may still be ahead
+        // of the hit even though its straight position has already passed
+        let index = Math.ceil(time / step - 1e-9);
+        if (index > 0 && this.stepTime(index - 1) >= time) {
+            index--;
+        }
+
+        let target = time + (this.stepTime(index) - time) * (this.strength / 100);
+
+        if (this.humanize > 0) {
+            target += this.random.range(-1, 1) * step * 0.25 * (this.humanize / 100);
+        }
+
+        return Math.max(0, target - now);
+    }
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * Dryer Pattern Renderer (command line)
+ * Runs DryerPhysics headlessly in Node and writes the collision event list
+ * as JSON or CSV - for batch-exploring patterns and regression-testing physics changes.
+ *
+ * Usage:
+ *   node dryer-render.js --seconds 30 --rpm 20 --drum-size 60 --vanes 4 --vane-height 30 \
+ *                        --ball tennis,sandbag --seed 7 --format csv --out pattern.csv
+ */
+
+const fs = require('fs');
+const {
+    DryerPhysics, DRYER_BALL_PRESETS, DRYER_DRUM_SHAPES, DRYER_SPEED_PROFILES, DRYER_INTEGRATORS, DRYER_COLLISION_MODES,
+    DRYER_SUBSTEP_OPTIONS, DRYER_PARAMETER_LIMITS
+} = require('./dryer-physics.js');
+
+// Defaults match the knob start positions in DryerUI.initKnobs
+const DEFAULTS = {
+    seconds: 10,
+    rpm: 18,
+    drumSize: 60,
+    vanes: 4,
+    vaneHeight: 30,
+    shape: 'round',
+    speed: 'constant',
+    ramp: 0,
+    period: 8,
+    pause: 0,
+    curve: '100,50,-100,0',
+    ball: 'tennis',
+    seed: 1,
+    format: 'json',
+    out: null,
+    integrator: 'semi-implicit',
+    collisions: 'swept',
+    substeps: 4,
+    lintTrap: false,
+    moonGravity: false,
+    profile: false
+};
+
+// Accepted values of the numeric options: the knob and input ranges of the web UI
+const RANGES = {
+    rpm:        DRYER_PARAMETER_LIMITS.rpm,
+    drumSize:   DRYER_PARAMETER_LIMITS.drumSize,
+    vanes:      { ...DRYER_PARAMETER_LIMITS.vanes, integer: true },
+    vaneHeight: DRYER_PARAMETER_LIMITS.vaneHeight,
+    ramp:       { min: 0, max: 30 },
+    period:     { min: 0.25, max: 120 },
+    pause:      { min: 0, max: 60 },
+    curve:      { min: -100, max: 100 },
+    seed:       { min: 0, max: 4294967295, integer: true },
+};
+
+const range = key => `${RANGES[key].min} to ${RANGES[key].max}`;
+
+const HELP = `Dryer pattern renderer
+
+Options:
+  --seconds <n>        Simulated seconds to run (default ${DEFAULTS.seconds})
+  --rpm <n>            Drum speed, ${range('rpm')} (default ${DEFAULTS.rpm})
+  --drum-size <cm>     Drum diameter knob value, ${range('drumSize')} (default ${DEFAULTS.drumSize})
+  --vanes <n>          Number of vanes, ${range('vanes')} (default ${DEFAULTS.vanes})
+  --vane-height <%>    Vane height knob value, ${range('vaneHeight')} (default ${DEFAULTS.vaneHeight})
+  --shape <name>       Drum outline: ${DRYER_DRUM_SHAPES.map(shape => shape.label.toLowerCase()).join(', ')} (default ${DEFAULTS.shape})
+  --speed <profile>    Drum speed profile: ${DRYER_SPEED_PROFILES.map(profile => profile.value).join(', ')} (default ${DEFAULTS.speed})
+  --ramp <s>           Seconds to spin up from a stop to full speed, ${range('ramp')}; 0 = instant (default ${DEFAULTS.ramp})
+  --period <s>         Seconds per run, or per curve step for custom, ${range('period')} (default ${DEFAULTS.period})
+  --pause <s>          Seconds stopped between runs, ${range('pause')} (default ${DEFAULTS.pause})
+  --curve <%,%,...>    Custom profile speeds, % of the RPM, ${range('curve')} (negative = reversed) (default ${DEFAULTS.curve})
+  --ball <types>       Comma-separated ball types: ${Object.keys(DRYER_BALL_PRESETS).join(', ')} (default ${DEFAULTS.ball})
+  --seed <n>           Random seed, ${range('seed')} (default ${DEFAULTS.seed})
+  --format <json|csv>  Output format (default ${DEFAULTS.format})
+  --out <file>         Write to a file instead of stdout
+  --integrator <name>  ${DRYER_INTEGRATORS.map(option => option.value).join(', ')} (default ${DEFAULTS.integrator})
+  --collisions <mode>  ${DRYER_COLLISION_MODES.map(option => option.value).join(' or ')} (default ${DEFAULTS.collisions})
+  --substeps <n>       Most adaptive substeps per 1/240 s step: ${DRYER_SUBSTEP_OPTIONS.join(', ')}; 1 = off (default ${DEFAULTS.substeps})
+  --lint-trap          Filter low-velocity hits
+  --moon-gravity       1/6th Earth gravity
+  --profile            Print step timing to stderr
+  --help               Show this message
+`;
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    const flags = { 'lint-trap': 'lintTrap', 'moon-gravity': 'moonGravity', 'profile': 'profile' };
+    const numbers = ['seconds', 'rpm', 'drumSize', 'vanes', 'vaneHeight', 'ramp', 'period', 'pause', 'substeps', 'seed'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        const name = arg.slice(2);
+        if (flags[name]) {
+            options[flags[name]] = true;
+            continue;
+        }
+
+        // --drum-size → drumSize
+        const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (!(key in DEFAULTS)) {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${arg}`);
+        }
+
+        if (numbers.includes(key)) {
+            options[key] = value.trim() === '' ? NaN : Number(value);
+            if (!Number.isFinite(options[key])) {
+                throw new Error(`${arg} expects a number, got "${value}"`);
+            }
+            if (RANGES[key]) checkRange(arg, key, options[key]);
+        } else {
+            options[key] = value;
+        }
+    }
+
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error(`--format must be json or csv, got "${options.format}"`);
+    }
+
+    const shape = DRYER_DRUM_SHAPES.find(s => s.label.toLowerCase() === options.shape.toLowerCase());
+    if (!shape) {
+        throw new Error(`Unknown drum shape "${options.shape}" (choose from ${DRYER_DRUM_SHAPES.map(s => s.label.toLowerCase()).join(', ')})`);
+    }
+    options.shape = shape.label;
+
+    if (!DRYER_SPEED_PROFILES.some(profile => profile.value === options.speed)) {
+        throw new Error(`Unknown speed profile "${options.speed}" (choose from ${DRYER_SPEED_PROFILES.map(profile => profile.value).join(', ')})`);
+    }
+    if (!DRYER_INTEGRATORS.some(option => option.value === options.integrator)) {
+        throw new Error(`Unknown integrator "${options.integrator}" (choose from ${DRYER_INTEGRATORS.map(option => option.value).join(', ')})`);
+    }
+    if (!DRYER_COLLISION_MODES.some(option => option.value === options.collisions)) {
+        throw new Error(`--collisions must be ${DRYER_COLLISION_MODES.map(option => option.value).join(' or ')}, got "${options.collisions}"`);
+    }
+
+    if (options.seconds <= 0) {
+        throw new Error(`--seconds must be more than 0, got ${options.seconds}`);
+    }
+    if (!DRYER_SUBSTEP_OPTIONS.includes(options.substeps)) {
+        throw new Error(`--substeps must be one of ${DRYER_SUBSTEP_OPTIONS.join(', ')}, got ${options.substeps}`);
+    }
+
+    const entries = String(options.curve).split(',').map(entry => entry.trim());
+    const curve = entries.map(entry => entry === '' ? NaN : Number(entry));
+    if (curve.some(value => !Number.isFinite(value))) {
+        throw new Error(`--curve expects comma-separated numbers, got "${options.curve}"`);
+    }
+    curve.forEach(value => checkRange('--curve', 'curve', value));
+    options.curve = curve;
+
+    options.balls = options.ball.split(',').map(type => type.trim());
+    options.balls.forEach(type => {
+        if (!DRYER_BALL_PRESETS[type]) {
+            throw new Error(`Unknown ball type "${type}" (choose from ${Object.keys(DRYER_BALL_PRESETS).join(', ')})`);
+        }
+    });
+
+    return options;
+}
+
+function checkRange(arg, key, value) {
+    const { min, max, integer } = RANGES[key];
+    if (value < min || value > max || (integer && !Number.isInteger(value))) {
+        throw new Error(`${arg} must be ${integer ? 'a whole number ' : ''}from ${min} to ${max}, got ${value}`);
+    }
+}
+
+// Run the simulation and collect every collision that would reach DryerAudio
+function renderPattern(options) {
+    const physics = new DryerPhysics();
+    physics.applyConfig({
+        rpm: options.rpm,
+        drumSize: options.drumSize,
+        vanes: options.vanes,
+        vaneHeight: options.vaneHeight,
+        shape: options.shape,
+        speed: { mode: options.speed, ramp: options.ramp, period: options.period, pause: options.pause, curve: options.curve },
+        balls: options.balls,
+        seed: options.seed,
+        integrator: options.integrator,
+        collisions: options.collisions,
+        substeps: options.substeps,
+        lintTrap: options.lintTrap,
+        moonGravity: options.moonGravity
+    });
+
+    const events = [];
+    physics.onCollision((surface, velocity, hit) => {
+        events.push({
+            time: round(hit.time),
+            surface: surface.id,
+            ball: hit.ballId,
+            velocity: round(velocity)
+        });
+    });
+
+    physics.profiling = !!options.profile;
+    const steps = Math.round(options.seconds / physics.fixedTimeStep);
+    for (let i = 0; i < steps; i++) {
+        physics.step(physics.fixedTimeStep);
+    }
+
+    const pattern = { config: physics.getConfig(), seconds: options.seconds, events };
+    if (options.profile) pattern.profile = physics.getProfile();
+    return pattern;
+}
+
+function formatProfile(profile) {
+    return [
+        `Simulated ${profile.simulated.toFixed(2)} s in ${profile.time.toFixed(1)} ms ` +
+            `(${(profile.cpuLoad * 100).toFixed(2)}% of real time)`,
+        `${profile.steps} steps, ${(profile.msPerStep * 1000).toFixed(1)} µs each`,
+        `Substeps: ${profile.avgSubsteps.toFixed(2)} average, ${profile.maxSubsteps} max`,
+        `Swept hits: ${profile.sweepHits}`
+    ].join('\n');
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function formatPattern(pattern, format) {
+    if (format === 'csv') {
+        const rows = pattern.events.map(e => `${e.time},${e.surface},${e.ball},${e.velocity}`);
+        return ['time,surface,ball,velocity', ...rows].join('\n') + '\n';
+    }
+    return JSON.stringify(pattern, null, 2) + '\n';
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`Error: ${e.message}\n`);
+        console.error(HELP);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(HELP);
+        return;
+    }
+
+    const pattern = renderPattern(options);
+    const output = formatPattern(pattern, options.format);
+    if (pattern.profile) console.error(formatProfile(pattern.profile));
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Wrote ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, renderPattern, formatPattern };
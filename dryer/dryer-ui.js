@@ -3,23 +3,83 @@
  * Handles knob interactions and visual feedback
  */
 
+// What the drum window shows (see setView)
+const DRYER_VIEW_MODES = [
+    { value: 'lab',   label: 'Lab' },   // from the room: the drum turns, gravity points down
+    { value: 'drum',  label: 'Drum' },  // riding on the drum: the vanes stand still, gravity turns
+    { value: 'split', label: 'Split' }, // both side by side
+];
+
+// Reference frame the trails and air map are drawn in
+const DRYER_OVERLAY_FRAMES = [
+    { value: 'lab',  label: 'Lab' },  // as seen from the room
+    { value: 'drum', label: 'Drum' }, // as seen riding on the drum (the frame the physics runs in)
+];
+
+// Force arrows on the first ball, one per term in physics.debugInfo.forces
+const DRYER_FORCE_ARROWS = [
+    { key: 'gravity',     label: 'Gravity',     color: '#ffffff' },
+    { key: 'buoyancy',    label: 'Buoyancy',    color: '#88ccff' },
+    { key: 'centrifugal', label: 'Centrifugal', color: '#ff4444' },
+    { key: 'coriolis',    label: 'Coriolis',    color: '#ffaa00' },
+    { key: 'euler',       label: 'Euler',       color: '#ff66ff' },
+    { key: 'drag',        label: 'Drag',        color: '#00ff88' },
+];
+
+// Render quality: how often the drum is redrawn (the physics keeps its fixed rate whatever this is)
+// and the sharpest device pixel ratio the canvases are drawn at. fps null = every display frame.
+const DRYER_RENDER_QUALITIES = [
+    { value: 'high',     label: 'High',     fps: null, maxPixelRatio: 3 },
+    { value: 'balanced', label: 'Balanced', fps: 30,   maxPixelRatio: 2 },
+    { value: 'low',      label: 'Low',      fps: 15,   maxPixelRatio: 1 },
+];
+
+const TRAIL_SECONDS = 2;       // simulated seconds of path kept per ball
+const FORCE_ARROW_SCALE = 0.1; // arrow length per g (9.81 m/s²), as a fraction of the canvas
+const AIR_MAP_CELL = 10;       // canvas pixels per air map cell
+
 class DryerUI {
     constructor() {
         this.knobs = {};
         this.canvas = document.getElementById('dryerCanvas');
         this.ctx = this.canvas.getContext('2d');
+        this.canvasSize = this.canvas.width; // drawing size in CSS pixels (see resize)
         this.activeCollisions = new Map();
         
+        // View: the main canvas shows the lab or drum frame; split adds the drum frame on a second canvas
+        this.view = 'lab';
+        this.viewFrame = 'lab'; // frame of the canvas being drawn (see render)
+        this.drumCanvas = document.getElementById('dryerCanvasDrum');
+        this.drumCtx = this.drumCanvas ? this.drumCanvas.getContext('2d') : null;
+        this.drumCanvasSize = this.drumCanvas ? this.drumCanvas.width : 0;
+        
+        // Render quality and canvas sizing (see setQuality, resize)
+        this.quality = 'high';
+        this.lastDrawTime = 0;  // performance.now() of the last frame drawn by the animation loop
+        this.needsResize = true;
+        this.onResize = null;   // called when the canvases change size, e.g. to redraw while stopped
+        this.initResize();
+        
+        // Vane editor (see initVaneEditor)
+        this.physics = null;
+        this.editingVanes = false;
+        this.dragHandle = null; // { index, part: 'base' | 'tip' | 'curve' } while dragging
+        
+        // Physics overlays (see setOverlay)
+        this.overlays = { trails: false, forces: false, airMap: false, frame: 'lab' };
+        this.trails = new Map(); // ball id -> [{ time, x, y, labX, labY }] in seconds / meters, oldest first
+        this.trailTime = 0;      // physics.simTime of the newest trail point
+        
         this.initKnobs();
     }
     
     initKnobs() {
         // Define knob configurations
         const knobConfigs = [
-            { id: 'rpm', min: 0, max: 35, initial: 18, step: 1 },
-            { id: 'drumSize', min: 40, max: 80, initial: 60, step: 1 },
-            { id: 'vanes', min: 1, max: 7, initial: 4, step: 1 },
-            { id: 'vaneHeight', min: 10, max: 50, initial: 30, step: 1 }
+            { id: 'rpm', ...DRYER_PARAMETER_LIMITS.rpm, initial: 18, step: 1 },
+            { id: 'drumSize', ...DRYER_PARAMETER_LIMITS.drumSize, initial: 60, step: 1 },
+            { id: 'vanes', ...DRYER_PARAMETER_LIMITS.vanes, initial: 4, step: 1 },
+            { id: 'vaneHeight', ...DRYER_PARAMETER_LIMITS.vaneHeight, initial: 30, step: 1 }
         ];
         
         knobConfigs.forEach(config => {
@@ -42,7 +102,8 @@ class DryerUI {
             step: config.step,
             isDragging: false,
             startY: 0,
-            startValue: config.initial
+            startValue: config.initial,
+            modulatedValue: null
         };
         
         // Set initial rotation
@@ -104,13 +165,38 @@ class DryerUI {
     
     updateKnobRotation(knobId) {
         const knob = this.knobs[knobId];
-        const normalized = (knob.value - knob.min) / (knob.max - knob.min);
+        // While modulated, the indicator follows the live value; the readout keeps the value you set
+        const value = knob.modulatedValue ?? knob.value;
+        const normalized = (value - knob.min) / (knob.max - knob.min);
         const degrees = -135 + (normalized * 270); // -135° to +135° range
         
         knob.indicator.style.transform = `translateX(-50%) rotate(${degrees}deg)`;
+        knob.indicator.classList.toggle('modulated', knob.modulatedValue != null);
         knob.valueElement.textContent = Math.round(knob.value);
     }
     
+    // Show a modulated value on the knob indicator (null goes back to the knob's own value)
+    showModulatedValue(knobId, value) {
+        const knob = this.knobs[knobId];
+        if (!knob || knob.modulatedValue === value) return;
+        
+        knob.modulatedValue = value;
+        this.updateKnobRotation(knobId);
+    }
+    
+    // Set a knob from code (patch load, MIDI learn); notify = false skips onParameterChange
+    setKnobValue(knobId, value, notify = true) {
+        const knob = this.knobs[knobId];
+        if (!knob) return;
+        
+        knob.value = Math.max(knob.min, Math.min(knob.max, Math.round(value / knob.step) * knob.step));
+        this.updateKnobRotation(knobId);
+        
+        if (notify && this.onParameterChange) {
+            this.onParameterChange();
+        }
+    }
+    
     getParameters() {
         return {
             rpm: this.knobs.rpm.value,
@@ -121,13 +207,41 @@ class DryerUI {
     }
     
     render(physics) {
+        if (this.needsResize) this.resize();
+        this.updateTrails(physics);
+        
+        this.viewFrame = this.getMainFrame();
+        this.drawScene(physics);
+        
+        // Split view: the same state again from the drum's frame. The draw methods use this.canvas/ctx/canvasSize,
+        // so point them at the second canvas for the pass and back afterwards (the vane editor uses them).
+        if (this.view === 'split' && this.drumCanvas) {
+            const main = { canvas: this.canvas, ctx: this.ctx, size: this.canvasSize };
+            this.canvas = this.drumCanvas;
+            this.ctx = this.drumCtx;
+            this.canvasSize = this.drumCanvasSize;
+            this.viewFrame = 'drum';
+            this.drawScene(physics);
+            this.canvas = main.canvas;
+            this.ctx = main.ctx;
+            this.canvasSize = main.size;
+            this.viewFrame = this.getMainFrame();
+        }
+        
+        // Decay collision highlights
+        this.updateCollisionHighlights();
+    }
+    
+    // Draw everything onto this.canvas, seen from this.viewFrame
+    drawScene(physics) {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const size = this.canvasSize;
         
         // Clear canvas
         ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, width, height);
+        ctx.fillRect(0, 0, size, size);
+        
+        if (this.overlays.airMap) this.drawAirMap(physics);
         
         // Draw drum segments with collision highlighting
         this.drawDrumSegments(physics);
@@ -135,28 +249,134 @@ class DryerUI {
         // Draw vanes
         this.drawVanes(physics);
         
+        if (this.overlays.trails) this.drawTrails(physics);
+        
         // Draw ball
         this.drawBall(physics);
         
-        // Decay collision highlights
-        this.updateCollisionHighlights();
+        if (this.overlays.forces) this.drawForceArrows(physics);
+        if (this.viewFrame === 'drum') this.drawGravityArrow(physics);
     }
     
-    drawDrumSegments(physics) {
+    // =====================================================================
+    // CANVAS SIZE AND RENDER QUALITY
+    // =====================================================================
+    
+    // Re-fit the canvases when their boxes change (layout, split view, performance mode)
+    // or the window does (which also covers a new devicePixelRatio after zooming or changing screens)
+    initResize() {
+        if (typeof ResizeObserver !== 'undefined') {
+            const observer = new ResizeObserver(() => this.requestResize());
+            observer.observe(this.canvas);
+            if (this.drumCanvas) observer.observe(this.drumCanvas);
+        }
+        window.addEventListener('resize', () => this.requestResize());
+    }
+    
+    requestResize() {
+        this.needsResize = true;
+        if (this.onResize) this.onResize();
+    }
+    
+    // Match each canvas's pixels to its on-screen size × the device pixel ratio. Drawing stays in CSS pixels
+    // (the context is scaled), so lines and text keep their size and the drum just gets sharper.
+    resize() {
+        this.needsResize = false;
+        this.canvasSize = this.fitCanvas(this.canvas, this.ctx, this.canvasSize);
+        if (this.drumCanvas) this.drumCanvasSize = this.fitCanvas(this.drumCanvas, this.drumCtx, this.drumCanvasSize);
+    }
+    
+    // Returns the canvas's size in CSS pixels - the last known size while it is hidden
+    fitCanvas(canvas, ctx, size) {
+        const width = canvas.getBoundingClientRect().width;
+        if (width > 0) size = width;
+        
+        const ratio = Math.min(window.devicePixelRatio || 1, this.getQuality().maxPixelRatio);
+        const pixels = Math.max(1, Math.round(size * ratio));
+        if (canvas.width !== pixels) {
+            canvas.width = pixels;
+            canvas.height = pixels;
+        }
+        ctx.setTransform(pixels / size, 0, 0, pixels / size, 0, 0);
+        return size;
+    }
+    
+    getQuality() {
+        return DRYER_RENDER_QUALITIES.find(quality => quality.value === this.quality) || DRYER_RENDER_QUALITIES[0];
+    }
+    
+    setQuality(value) {
+        if (!DRYER_RENDER_QUALITIES.some(quality => quality.value === value)) return;
+        this.quality = value;
+        this.needsResize = true;
+    }
+    
+    // Called by the animation loop every display frame: true when it is time to draw at this quality
+    shouldDraw(now) {
+        const fps = this.getQuality().fps;
+        if (fps && now - this.lastDrawTime < 1000 / fps - 1) return false; // 1 ms slack for frame timing jitter
+        this.lastDrawTime = now;
+        return true;
+    }
+    
+    // =====================================================================
+    // VIEW - lab frame, drum frame or both
+    // =====================================================================
+    
+    setView(view) {
+        this.view = DRYER_VIEW_MODES.some(mode => mode.value === view) ? view : 'lab';
+        this.viewFrame = this.getMainFrame();
+    }
+    
+    // Frame of the main canvas (the one the vane editor works on)
+    getMainFrame() {
+        return this.view === 'drum' ? 'drum' : 'lab';
+    }
+    
+    // How far the drum is turned on screen in the frame being drawn: it turns in the lab, stands still in the drum frame
+    getViewAngle(physics) {
+        return this.viewFrame === 'drum' ? 0 : physics.drumAngle;
+    }
+    
+    // In the drum frame gravity turns instead of the drum: an arrow from the center shows where "down" is
+    drawGravityArrow(physics) {
         const ctx = this.ctx;
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
-        const scale = this.canvas.width / (physics.drumRadius * 2.2);
-        const radius = physics.drumRadius * scale;
+        const size = this.canvasSize;
+        const length = size * 0.15;
         
-        // Draw each segment between vanes
-        const anglePerSegment = (2 * Math.PI) / physics.vaneCount;
+        // Lab "down" (0, -1) in drum coordinates, then to the screen (y flipped)
+        const dx = -Math.sin(physics.drumAngle) * length;
+        const dy = Math.cos(physics.drumAngle) * length;
+        const tipX = size / 2 + dx;
+        const tipY = size / 2 + dy;
+        const angle = Math.atan2(dy, dx);
         
-        for (let i = 0; i < physics.vaneCount; i++) {
-            const startAngle = (i * anglePerSegment) + physics.drumAngle;
-            const endAngle = startAngle + anglePerSegment;
-            
-            const surface = physics.surfaces.find(s => s.type === 'drum' && s.index === i);
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(size / 2, size / 2);
+        ctx.lineTo(tipX, tipY);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - 8 * Math.cos(angle - 0.4), tipY - 8 * Math.sin(angle - 0.4));
+        ctx.lineTo(tipX - 8 * Math.cos(angle + 0.4), tipY - 8 * Math.sin(angle + 0.4));
+        ctx.closePath();
+        ctx.fill();
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('g', tipX + 6, tipY);
+        ctx.globalAlpha = 1.0;
+    }
+    
+    drawDrumSegments(physics) {
+        const ctx = this.ctx;
+        
+        // Draw each piece of wall between two vanes (any drum shape)
+        physics.getWallOutline(this.canvasSize, this.getViewAngle(physics)).forEach(piece => {
+            const surface = physics.surfaces.find(s => s.type === 'drum' && s.index === piece.index);
             const highlight = this.activeCollisions.get(surface?.id) || 0;
             
             // Base color with collision highlight
@@ -164,18 +384,22 @@ class DryerUI {
             const alpha = 0.3 + (highlight * 0.5);
             
             ctx.beginPath();
-            ctx.arc(centerX, centerY, radius, -startAngle, -endAngle, true);
+            piece.points.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
             ctx.strokeStyle = baseColor;
             ctx.globalAlpha = alpha;
             ctx.lineWidth = 8;
+            ctx.lineJoin = 'round';
             ctx.stroke();
             ctx.globalAlpha = 1.0;
-        }
+        });
     }
     
     drawVanes(physics) {
         const ctx = this.ctx;
-        const vanes = physics.getVanePositions(this.canvas.width);
+        const vanes = physics.getVanePositions(this.canvasSize, this.getViewAngle(physics));
         
         vanes.forEach(vane => {
             // Check for collision highlights on vane surfaces
@@ -189,19 +413,154 @@ class DryerUI {
             const color = leadSurface ? leadSurface.color : '#555';
             
             ctx.beginPath();
-            ctx.moveTo(vane.innerX, vane.innerY);
-            ctx.lineTo(vane.outerX, vane.outerY);
+            vane.points.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
             ctx.strokeStyle = color;
             ctx.globalAlpha = 0.8 + (maxHighlight * 0.2);
             ctx.lineWidth = 4 + (maxHighlight * 4);
             ctx.stroke();
             ctx.globalAlpha = 1.0;
+            
+            if (this.editingVanes) {
+                this.drawVaneHandles(vane);
+            }
+        });
+    }
+    
+    // Editor handles: wall end (moves the vane around the drum), tip (height and tilt), middle (bend)
+    drawVaneHandles(vane) {
+        const ctx = this.ctx;
+        const handles = [
+            { part: 'base', x: vane.outerX, y: vane.outerY },
+            { part: 'tip', x: vane.innerX, y: vane.innerY },
+            { part: 'curve', x: vane.curveX, y: vane.curveY }
+        ];
+        
+        handles.forEach(handle => {
+            const active = this.dragHandle && this.dragHandle.index === vane.index && this.dragHandle.part === handle.part;
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, handle.part === 'curve' ? 4 : 6, 0, Math.PI * 2);
+            ctx.fillStyle = active ? '#00ff88' : '#000';
+            ctx.strokeStyle = '#00ff88';
+            ctx.lineWidth = 2;
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+    
+    // =====================================================================
+    // VANE EDITOR - drag vane handles on the canvas to reshape the vanes
+    // =====================================================================
+    
+    initVaneEditor(physics) {
+        this.physics = physics;
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.editingVanes) return;
+            
+            const point = this.getCanvasPoint(e);
+            this.dragHandle = this.findVaneHandle(point);
+            if (this.dragHandle) {
+                e.preventDefault();
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragHandle) return;
+            this.dragVaneHandle(this.getCanvasPoint(e));
+            this.render(this.physics);
+        });
+        
+        const endDrag = () => {
+            if (!this.dragHandle) return;
+            this.dragHandle = null;
+            this.render(this.physics);
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+    }
+    
+    setEditingVanes(enabled) {
+        this.editingVanes = enabled;
+        this.dragHandle = null;
+        this.canvas.classList.toggle('editing', enabled);
+        if (this.physics) this.render(this.physics);
+    }
+    
+    // Pointer position in canvas pixels (the canvas may be scaled by CSS)
+    getCanvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this.canvasSize / rect.width,
+            y: (event.clientY - rect.top) * this.canvasSize / rect.height
+        };
+    }
+    
+    findVaneHandle(point) {
+        const grabRadius = 12; // pixels
+        let closest = null;
+        let closestDistance = grabRadius;
+        
+        this.physics.getVanePositions(this.canvasSize, this.getViewAngle(this.physics)).forEach(vane => {
+            [['base', vane.outerX, vane.outerY], ['tip', vane.innerX, vane.innerY], ['curve', vane.curveX, vane.curveY]]
+                .forEach(([part, x, y]) => {
+                    const distance = Math.hypot(point.x - x, point.y - y);
+                    if (distance < closestDistance) {
+                        closestDistance = distance;
+                        closest = { index: vane.index, part: part };
+                    }
+                });
         });
+        
+        return closest;
+    }
+    
+    dragVaneHandle(point) {
+        const physics = this.physics;
+        const { index, part } = this.dragHandle;
+        const vane = physics.vanes[index];
+        const p = physics.fromScreen(point.x, point.y, this.canvasSize, this.getViewAngle(physics));
+        
+        if (part === 'base') {
+            // Slide the vane around the wall
+            physics.setVaneShape(index, { angle: Math.atan2(p.y, p.x) });
+        } else if (part === 'tip') {
+            // Distance from the wall sets the height, direction sets the tilt away from the center line
+            const dx = p.x - vane.base.x;
+            const dy = p.y - vane.base.y;
+            const wallRadius = physics.getWallRadius(vane.angle);
+            let tilt = Math.atan2(dy, dx) - (vane.angle + Math.PI);
+            tilt = Math.atan2(Math.sin(tilt), Math.cos(tilt)); // wrap to -π..π
+            physics.setVaneShape(index, { height: Math.hypot(dx, dy) / wallRadius, tilt: tilt });
+        } else {
+            // Sideways distance from the straight line sets the bend
+            const dx = vane.base.x - vane.tip.x;
+            const dy = vane.base.y - vane.tip.y;
+            const length = Math.hypot(dx, dy);
+            const offset = ((p.x - (vane.tip.x + vane.base.x) / 2) * -dy + (p.y - (vane.tip.y + vane.base.y) / 2) * dx) / length;
+            physics.setVaneShape(index, { curve: 4 * offset / length });
+        }
     }
     
     drawBall(physics) {
+        physics.getBallPositions(this.canvasSize, this.getViewAngle(physics)).forEach(ball => {
+            if (ball.type === 'sandbag') {
+                this.drawSandbag(ball);
+            } else if (ball.type === 'balloon') {
+                this.drawBalloon(ball);
+            } else if (ball.type === 'custom') {
+                this.drawCustomBall(ball);
+            } else {
+                this.drawTennisBall(ball);
+            }
+        });
+    }
+    
+    drawTennisBall(ball) {
         const ctx = this.ctx;
-        const ball = physics.getBallPosition(this.canvas.width);
         
         // Tennis ball appearance
         const gradient = ctx.createRadialGradient(
@@ -220,27 +579,261 @@ class DryerUI {
         ctx.fillStyle = gradient;
         ctx.fill();
         
-        // Tennis ball seam lines
+        // Tennis ball seam lines - turn with the ball's spin (canvas angles run clockwise)
+        const spin = -(ball.rotation || 0);
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 1.5;
         ctx.globalAlpha = 0.6;
         ctx.beginPath();
-        ctx.arc(ball.x, ball.y, ball.radius * 0.7, 0.2, Math.PI - 0.2);
+        ctx.arc(ball.x, ball.y, ball.radius * 0.7, spin + 0.2, spin + Math.PI - 0.2);
         ctx.stroke();
         ctx.beginPath();
-        ctx.arc(ball.x, ball.y, ball.radius * 0.7, Math.PI + 0.2, Math.PI * 2 - 0.2);
+        ctx.arc(ball.x, ball.y, ball.radius * 0.7, spin + Math.PI + 0.2, spin + Math.PI * 2 - 0.2);
         ctx.stroke();
         ctx.globalAlpha = 1.0;
     }
     
+    drawSandbag(ball) {
+        const ctx = this.ctx;
+        
+        // Burlap-colored bag with a stitched outline
+        const gradient = ctx.createRadialGradient(
+            ball.x - ball.radius * 0.3,
+            ball.y - ball.radius * 0.3,
+            0,
+            ball.x,
+            ball.y,
+            ball.radius
+        );
+        gradient.addColorStop(0, '#d9b77e');
+        gradient.addColorStop(1, '#8a6a3a');
+        
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+        
+        ctx.strokeStyle = '#5a4020';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 2]);
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius * 0.8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    // Custom balls from the Lab panel: a plain white ball with a spin mark
+    drawCustomBall(ball) {
+        const ctx = this.ctx;
+        
+        const gradient = ctx.createRadialGradient(
+            ball.x - ball.radius * 0.3,
+            ball.y - ball.radius * 0.3,
+            0,
+            ball.x,
+            ball.y,
+            ball.radius
+        );
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(1, '#9a9a9a');
+        
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+        
+        const spin = -(ball.rotation || 0);
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(ball.x, ball.y);
+        ctx.lineTo(ball.x + ball.radius * 0.8 * Math.cos(spin), ball.y + ball.radius * 0.8 * Math.sin(spin));
+        ctx.stroke();
+    }
+    
+    drawBalloon(ball) {
+        const ctx = this.ctx;
+        
+        // Translucent rubber with a glossy highlight
+        const gradient = ctx.createRadialGradient(
+            ball.x - ball.radius * 0.4,
+            ball.y - ball.radius * 0.4,
+            0,
+            ball.x,
+            ball.y,
+            ball.radius
+        );
+        gradient.addColorStop(0, '#ffb3b3');
+        gradient.addColorStop(1, '#c0392b');
+        
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.globalAlpha = 0.85;
+        ctx.fill();
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.arc(ball.x - ball.radius * 0.35, ball.y - ball.radius * 0.35, ball.radius * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1.0;
+    }
+    
+    // =====================================================================
+    // PHYSICS OVERLAYS - trails, force arrows and the air velocity map
+    // =====================================================================
+    
+    // name: 'trails' | 'forces' | 'airMap' (on/off) or 'frame' ('lab' | 'drum')
+    setOverlay(name, value) {
+        if (!(name in this.overlays)) return;
+        this.overlays[name] = value;
+        if (name === 'trails') this.trails.clear();
+    }
+    
+    // Lab-frame meters -> canvas pixels (drum-frame points go through physics.toScreen).
+    // The drum-frame view turns the room backwards by the drum's angle.
+    labToScreen(physics, x, y) {
+        const size = this.canvasSize;
+        const scale = size / (physics.drumRadius * 2.2);
+        const turn = this.getViewAngle(physics) - physics.drumAngle;
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+        return { x: size / 2 + (x * cos - y * sin) * scale, y: size / 2 - (x * sin + y * cos) * scale };
+    }
+    
+    // One point per ball per drawn frame, kept for TRAIL_SECONDS; a reset (time going backwards) starts the trails over
+    updateTrails(physics) {
+        if (!this.overlays.trails) return;
+        if (physics.simTime < this.trailTime) this.trails.clear();
+        if (physics.simTime === this.trailTime && this.trails.size > 0) return;
+        this.trailTime = physics.simTime;
+        
+        const cos = Math.cos(physics.drumAngle);
+        const sin = Math.sin(physics.drumAngle);
+        const ids = new Set();
+        physics.balls.forEach(ball => {
+            ids.add(ball.id);
+            if (!this.trails.has(ball.id)) this.trails.set(ball.id, []);
+            
+            const trail = this.trails.get(ball.id);
+            trail.push({ time: physics.simTime, x: ball.x, y: ball.y, labX: ball.x * cos - ball.y * sin, labY: ball.x * sin + ball.y * cos });
+            while (trail[0].time < physics.simTime - TRAIL_SECONDS) trail.shift();
+        });
+        
+        // Drop the trails of removed balls
+        for (const id of this.trails.keys()) {
+            if (!ids.has(id)) this.trails.delete(id);
+        }
+    }
+    
+    // Lab frame: the path through the room. Drum frame: the path over the drum, turning with it.
+    drawTrails(physics) {
+        const ctx = this.ctx;
+        const size = this.canvasSize;
+        
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = '#00ff88';
+        this.trails.forEach(trail => {
+            const points = trail.map(p => this.overlays.frame === 'drum'
+                ? physics.toScreen(p.x, p.y, size, this.getViewAngle(physics))
+                : this.labToScreen(physics, p.labX, p.labY));
+            
+            // Older segments fade out
+            for (let i = 1; i < points.length; i++) {
+                ctx.globalAlpha = 0.8 * i / points.length;
+                ctx.beginPath();
+                ctx.moveTo(points[i - 1].x, points[i - 1].y);
+                ctx.lineTo(points[i].x, points[i].y);
+                ctx.stroke();
+            }
+        });
+        ctx.globalAlpha = 1.0;
+    }
+    
+    // One arrow per force term on the first ball, from its center (drum-frame vectors turned to the screen)
+    drawForceArrows(physics) {
+        const forces = physics.debugInfo.forces;
+        if (!forces) return;
+        
+        const ctx = this.ctx;
+        const viewAngle = this.getViewAngle(physics);
+        const ball = physics.getBallPosition(this.canvasSize, 0, viewAngle);
+        const scale = this.canvasSize * FORCE_ARROW_SCALE / 9.81;
+        const cos = Math.cos(viewAngle);
+        const sin = Math.sin(viewAngle);
+        
+        ctx.lineWidth = 2;
+        DRYER_FORCE_ARROWS.forEach(({ key, color }) => {
+            const force = forces[key];
+            const dx = (force.x * cos - force.y * sin) * scale;
+            const dy = -(force.x * sin + force.y * cos) * scale;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length < 1) return;
+            
+            const tipX = ball.x + dx;
+            const tipY = ball.y + dy;
+            const head = Math.min(6, length / 2);
+            const angle = Math.atan2(dy, dx);
+            
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(ball.x, ball.y);
+            ctx.lineTo(tipX, tipY);
+            ctx.stroke();
+            
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - head * Math.cos(angle - 0.4), tipY - head * Math.sin(angle - 0.4));
+            ctx.lineTo(tipX - head * Math.cos(angle + 0.4), tipY - head * Math.sin(angle + 0.4));
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+    
+    // Air speed from the drag model, blue (still) to red (full scale).
+    // Lab frame: the swirl in the room, full scale = the wall's speed ωR.
+    // Drum frame: the air the balls feel, still at the center and wall; full scale = ωR/4, the most
+    // it can lag the drum (halfway out, with no vanes to drag it along) - so more vanes look bluer.
+    drawAirMap(physics) {
+        const omega = physics.drumAngularVelocity;
+        const fullScale = Math.abs(omega) * physics.drumRadius / (this.overlays.frame === 'lab' ? 1 : 4);
+        if (fullScale === 0) return;
+        
+        const ctx = this.ctx;
+        const size = this.canvasSize;
+        const viewAngle = this.getViewAngle(physics);
+        for (let sx = AIR_MAP_CELL / 2; sx < size; sx += AIR_MAP_CELL) {
+            for (let sy = AIR_MAP_CELL / 2; sy < size; sy += AIR_MAP_CELL) {
+                const point = physics.fromScreen(sx, sy, size, viewAngle);
+                if (Math.sqrt(point.x * point.x + point.y * point.y) > physics.getWallRadius(Math.atan2(point.y, point.x))) continue;
+                
+                const air = physics.getAirVelocity(point.x, point.y);
+                if (this.overlays.frame === 'lab') {
+                    // Add the drum's own motion, ω × r
+                    air.x -= omega * point.y;
+                    air.y += omega * point.x;
+                }
+                const level = Math.min(1, Math.sqrt(air.x * air.x + air.y * air.y) / fullScale);
+                
+                ctx.fillStyle = `hsla(${240 - 240 * level}, 100%, 50%, 0.35)`;
+                ctx.fillRect(sx - AIR_MAP_CELL / 2, sy - AIR_MAP_CELL / 2, AIR_MAP_CELL, AIR_MAP_CELL);
+            }
+        }
+    }
+    
     highlightCollision(surfaceId) {
         this.activeCollisions.set(surfaceId, 1.0);
     }
     
     updateCollisionHighlights() {
-        // Decay highlights over time
+        // Decay highlights over time - per drawn frame, so faster when the quality draws fewer frames
+        const fps = this.getQuality().fps;
+        const decay = 0.05 * (fps ? 60 / fps : 1);
         for (const [id, value] of this.activeCollisions.entries()) {
-            const newValue = value - 0.05;
+            const newValue = value - decay;
             if (newValue <= 0) {
                 this.activeCollisions.delete(id);
             } else {
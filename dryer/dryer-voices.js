@@ -0,0 +1,345 @@
+/**
+ * Dryer Voices
+ * Built-in percussion voices for the Web Audio preview: FM, membrane, metallic
+ * vane ping, woodblock and user WAV samples. Each surface type (drum, vane
+ * leading, vane trailing, ball on ball) plays its own voice; velocity drives brightness and decay.
+ *
+ * Hits are capped by a voice pool: past maxPolyphony sounding notes, the oldest
+ * (or quietest) one is faded out to make room, so fast, bouncy runs can't pile up
+ * more audio nodes than the machine can render.
+ */
+
+const DRYER_VOICES = [
+    { value: 'fm',        label: 'FM Classic' },
+    { value: 'membrane',  label: 'Membrane' },
+    { value: 'metal',     label: 'Metal Ping' },
+    { value: 'woodblock', label: 'Woodblock' },
+    { value: 'sample',    label: 'Sample (WAV)' },
+];
+
+// Kits set all the surface types at once
+const DRYER_VOICE_KITS = [
+    { label: 'Classic FM',  voices: { drum: 'fm',       vane_leading: 'fm',        vane_trailing: 'fm',        ball: 'fm' } },
+    { label: 'Acoustic',    voices: { drum: 'membrane', vane_leading: 'metal',     vane_trailing: 'woodblock', ball: 'woodblock' } },
+    { label: 'Wood & Skin', voices: { drum: 'membrane', vane_leading: 'woodblock', vane_trailing: 'woodblock', ball: 'woodblock' } },
+    { label: 'Metal Shop',  voices: { drum: 'metal',    vane_leading: 'metal',     vane_trailing: 'metal',     ball: 'metal' } },
+    { label: 'Samples',     voices: { drum: 'sample',   vane_leading: 'sample',    vane_trailing: 'sample',    ball: 'sample' } },
+];
+
+// FM modulator ratios per ball (by ball id). Ball 0 keeps the original 2:1 timbre;
+// the others use less harmonic ratios for a more metallic, clearly separate voice.
+const BALL_FM_RATIOS = [2, 3.5, 1.41, 2.76];
+
+// Partials of a free metal bar (relative to the fundamental) - inharmonic, so it rings like a vane
+const METAL_PARTIALS = [1, 2.76, 5.40, 8.93];
+
+const DRYER_POLYPHONY_OPTIONS = [8, 16, 24, 32, 48, 64];
+
+const DRYER_VOICE_STEALING = [
+    { value: 'oldest',   label: 'Steal Oldest' },
+    { value: 'quietest', label: 'Steal Quietest' },
+];
+
+const VOICE_STEAL_FADE = 0.005;  // seconds - fast enough to free the slot, slow enough not to click
+const NOISE_BUFFER_SECONDS = 1;  // shared noise; each burst plays a random slice of it
+
+class DryerVoices {
+    constructor() {
+        this.assignments = { ...DRYER_VOICE_KITS[0].voices };
+        this.samples = {}; // surface type -> { name, buffer }
+        this.maxPolyphony = 24;
+        this.stealMode = 'oldest';
+        this.pools = new WeakMap();        // context -> sounding voices, so bounces get their own pool
+        this.noiseBuffers = new WeakMap(); // context -> shared noise buffer
+        this.stolenCount = 0;              // voices cut short since the last getLoad()
+    }
+
+    setVoice(surfaceType, voice) {
+        this.assignments[surfaceType] = voice;
+    }
+
+    setKit(kit) {
+        this.assignments = { ...kit.voices };
+    }
+
+    // Decode a dropped/picked audio file locally - nothing is uploaded
+    async loadSample(ctx, surfaceType, file) {
+        const buffer = await ctx.decodeAudioData(await file.arrayBuffer());
+        this.samples[surfaceType] = { name: file.name, buffer: buffer };
+        return this.samples[surfaceType];
+    }
+
+    setPolyphony(maxPolyphony) {
+        this.maxPolyphony = Math.max(1, maxPolyphony);
+    }
+
+    setStealMode(mode) {
+        this.stealMode = mode;
+    }
+
+    /**
+     * Schedule one hit.
+     * note: { frequency, velocity (0-127), ballId, surfaceType, semitones (sample repitch) }
+     */
+    play(ctx, destination, when, note) {
+        let type = this.assignments[note.surfaceType] || 'fm';
+        if (type === 'sample' && !this.samples[note.surfaceType]) {
+            type = 'fm'; // nothing dropped yet for this surface type
+        }
+
+        // 0..1 - every voice maps this onto both brightness and decay
+        const level = note.velocity / 127;
+        const voice = this.allocate(ctx, destination, when, level);
+
+        switch (type) {
+            case 'membrane':  this.playMembrane(ctx, voice, when, note, level); break;
+            case 'metal':     this.playMetal(ctx, voice, when, note, level); break;
+            case 'woodblock': this.playWoodblock(ctx, voice, when, note, level); break;
+            case 'sample':    this.playSample(ctx, voice, when, note, level); break;
+            default:          this.playFM(ctx, voice, when, note, level);
+        }
+    }
+
+    // =====================================================================
+    // VOICE POOL
+    // A voice is one hit: an output gain plus every source it started. It holds its
+    // slot until its last source stops (in context time, so offline bounces work too).
+    // =====================================================================
+
+    allocate(ctx, destination, when, level) {
+        const pool = this.getPool(ctx, when);
+
+        while (pool.length >= this.maxPolyphony) {
+            const victim = this.stealMode === 'quietest'
+                ? pool.reduce((a, b) => this.getVoiceLevel(b, when) < this.getVoiceLevel(a, when) ? b : a)
+                : pool[0]; // the pool is in start order
+            this.steal(victim, when);
+            pool.splice(pool.indexOf(victim), 1);
+        }
+
+        const output = ctx.createGain();
+        output.connect(destination);
+
+        const voice = { output: output, sources: [], start: when, end: when, level: level };
+        pool.push(voice);
+        return voice;
+    }
+
+    // Voices still sounding at the given time (finished ones are dropped)
+    getPool(ctx, time) {
+        let pool = this.pools.get(ctx);
+        if (!pool) {
+            pool = [];
+            this.pools.set(ctx, pool);
+        }
+        for (let i = pool.length - 1; i >= 0; i--) {
+            if (pool[i].end <= time) pool.splice(i, 1);
+        }
+        return pool;
+    }
+
+    // Rough loudness left in a voice: its velocity, fading out linearly over its length
+    getVoiceLevel(voice, time) {
+        const length = voice.end - voice.start;
+        return length > 0 ? voice.level * Math.max(0, (voice.end - time) / length) : 0;
+    }
+
+    // Fade the voice out right away and stop its sources just after
+    steal(voice, when) {
+        voice.output.gain.cancelScheduledValues(when);
+        voice.output.gain.setTargetAtTime(0, when, VOICE_STEAL_FADE);
+        voice.sources.forEach(source => source.stop(when + VOICE_STEAL_FADE * 6));
+        voice.end = when;
+        this.stolenCount++;
+    }
+
+    // Start a source for a voice and stop it later; the voice is busy until its last source stops
+    schedule(voice, source, start, stop, offset = 0) {
+        source.start(start, offset);
+        source.stop(stop);
+        voice.sources.push(source);
+        voice.end = Math.max(voice.end, stop);
+    }
+
+    // Pool usage right now, for the UI load meter: { active, max, load (0-1), stolen since last call }
+    getLoad(ctx) {
+        const active = ctx ? this.getPool(ctx, ctx.currentTime).length : 0;
+        const stolen = this.stolenCount;
+        this.stolenCount = 0;
+        return { active: active, max: this.maxPolyphony, load: active / this.maxPolyphony, stolen: stolen };
+    }
+
+    // Percussive FM (the original Dryer sound): harder hits open up the modulation index
+    playFM(ctx, voice, now, note, level) {
+        const frequency = note.frequency;
+        const amplitude = level * 0.3;
+        const duration = 0.15 + level * 0.2;
+
+        const carrier = ctx.createOscillator();
+        carrier.frequency.setValueAtTime(frequency, now);
+        carrier.type = 'sine';
+
+        // Each ball uses a different modulator ratio so overlapping balls stay distinguishable
+        const modulatorRatio = BALL_FM_RATIOS[note.ballId % BALL_FM_RATIOS.length];
+        const modulator = ctx.createOscillator();
+        modulator.frequency.setValueAtTime(frequency * modulatorRatio, now);
+
+        const modulationGain = ctx.createGain();
+        modulationGain.gain.setValueAtTime(frequency * (0.2 + 0.6 * level), now);
+        modulationGain.gain.exponentialRampToValueAtTime(0.01, now + duration * 0.3);
+
+        modulator.connect(modulationGain);
+        modulationGain.connect(carrier.frequency);
+
+        const gainNode = ctx.createGain();
+        gainNode.gain.setValueAtTime(amplitude, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + duration);
+        carrier.connect(gainNode);
+        gainNode.connect(voice.output);
+
+        // Noise burst for the attack
+        this.playNoise(ctx, voice, now, duration * 0.3, amplitude * 0.2, 'highpass', frequency * 2);
+
+        this.schedule(voice, carrier, now, now + duration);
+        this.schedule(voice, modulator, now, now + duration);
+    }
+
+    // Drum skin: sine with a fast downward pitch sweep plus a filtered noise slap
+    playMembrane(ctx, voice, now, note, level) {
+        const frequency = note.frequency;
+        const amplitude = level * 0.45;
+        const decay = 0.12 + level * 0.45;
+
+        const body = ctx.createOscillator();
+        body.type = 'sine';
+        body.frequency.setValueAtTime(frequency * (1.5 + level * 1.5), now);
+        body.frequency.exponentialRampToValueAtTime(frequency, now + 0.03 + level * 0.03);
+
+        const bodyGain = ctx.createGain();
+        bodyGain.gain.setValueAtTime(amplitude, now);
+        bodyGain.gain.exponentialRampToValueAtTime(0.001, now + decay);
+        body.connect(bodyGain);
+        bodyGain.connect(voice.output);
+
+        // Harder hits let more high end of the slap through
+        this.playNoise(ctx, voice, now, 0.04 + level * 0.04, amplitude * 0.35, 'lowpass', 800 + level * 5000);
+
+        this.schedule(voice, body, now, now + decay);
+    }
+
+    // Metallic vane ping: inharmonic partials, the upper ones fading faster
+    playMetal(ctx, voice, now, note, level) {
+        const amplitude = level * 0.12;
+        const decay = 0.3 + level * 1.2;
+
+        METAL_PARTIALS.forEach((ratio, i) => {
+            const partialFrequency = note.frequency * 2 * ratio;
+            if (partialFrequency > ctx.sampleRate / 2) return;
+
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(partialFrequency, now);
+
+            // Brightness: soft hits mostly excite the fundamental
+            const partialLevel = amplitude * Math.pow(0.25 + 0.6 * level, i);
+            const partialDecay = decay / (1 + i * 0.8);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(partialLevel, now);
+            gain.gain.exponentialRampToValueAtTime(0.0001, now + partialDecay);
+            osc.connect(gain);
+            gain.connect(voice.output);
+
+            this.schedule(voice, osc, now, now + partialDecay);
+        });
+    }
+
+    // Woodblock: two short resonant modes with a click on top
+    playWoodblock(ctx, voice, now, note, level) {
+        const frequency = note.frequency * 4; // woodblocks sit well above the drum range
+        const amplitude = level * 0.3;
+        const decay = 0.04 + level * 0.1;
+
+        [[1, 1], [2.7, 0.3 + 0.5 * level]].forEach(([ratio, mix]) => {
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(frequency * ratio, now);
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(amplitude * mix, now);
+            gain.gain.exponentialRampToValueAtTime(0.0001, now + decay / ratio);
+            osc.connect(gain);
+            gain.connect(voice.output);
+
+            this.schedule(voice, osc, now, now + decay);
+        });
+
+        this.playNoise(ctx, voice, now, 0.01, amplitude * 0.5, 'bandpass', frequency * 2);
+    }
+
+    // User sample: repitched by the surface's note, velocity opens the filter and lengthens the tail
+    playSample(ctx, voice, now, note, level) {
+        const sample = this.samples[note.surfaceType];
+        const source = ctx.createBufferSource();
+        source.buffer = sample.buffer;
+        source.playbackRate.setValueAtTime(Math.pow(2, (note.semitones || 0) / 12), now);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(1000 + level * level * 17000, now);
+
+        const duration = sample.buffer.duration / source.playbackRate.value;
+        const decay = Math.max(0.05, duration * (0.3 + 0.7 * level));
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.2 + level * 0.6, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + decay);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(voice.output);
+
+        this.schedule(voice, source, now, now + decay);
+    }
+
+    playNoise(ctx, voice, now, duration, amplitude, filterType, filterFrequency) {
+        const noise = ctx.createBufferSource();
+        noise.buffer = this.getNoiseBuffer(ctx);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.setValueAtTime(Math.min(filterFrequency, ctx.sampleRate / 2 - 100), now);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(amplitude, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(voice.output);
+
+        // A random slice of the shared buffer, so consecutive bursts don't sound identical
+        const offset = Math.random() * Math.max(0, NOISE_BUFFER_SECONDS - duration);
+        this.schedule(voice, noise, now, now + duration, offset);
+    }
+
+    // Generated once per context and shared by every noise burst
+    getNoiseBuffer(ctx) {
+        if (!this.noiseBuffers.has(ctx)) {
+            this.noiseBuffers.set(ctx, this.createNoiseBuffer(ctx, NOISE_BUFFER_SECONDS));
+        }
+        return this.noiseBuffers.get(ctx);
+    }
+
+    createNoiseBuffer(ctx, duration) {
+        const bufferSize = Math.max(1, Math.floor(ctx.sampleRate * duration));
+        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const output = buffer.getChannelData(0);
+
+        for (let i = 0; i < bufferSize; i++) {
+            output[i] = Math.random() * 2 - 1;
+        }
+
+        return buffer;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Dryer WAV
+ * 16-bit PCM WAV encoding plus a real-time recorder that taps the master bus.
+ * The encoder has no browser dependencies, so Node can use it too.
+ */
+
+// channels: array of Float32Array (one per channel, equal length), samples in -1..1
+function encodeWAV(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frameCount = channels[0].length;
+    const bytesPerSample = 2;
+    const dataSize = frameCount * channelCount * bytesPerSample;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    // RIFF header + fmt chunk (PCM) + data chunk
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                                          // fmt chunk size
+    view.setUint16(20, 1, true);                                           // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);  // byte rate
+    view.setUint16(32, channelCount * bytesPerSample, true);               // block align
+    view.setUint16(34, 16, true);                                          // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave and clip to 16-bit
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+        for (let ch = 0; ch < channelCount; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+class DryerWavRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.processor = null;
+        this.source = null;
+        this.chunks = [[], []]; // recorded Float32Array blocks, left and right
+        this.sampleRate = 44100;
+    }
+
+    // Tap a node (the master bus output) - a ScriptProcessor copies each block as it plays
+    start(ctx, source) {
+        if (this.isRecording) return;
+
+        this.chunks = [[], []];
+        this.sampleRate = ctx.sampleRate;
+        this.source = source;
+        this.processor = ctx.createScriptProcessor(4096, 2, 2);
+        this.processor.onaudioprocess = (e) => {
+            for (let ch = 0; ch < 2; ch++) {
+                this.chunks[ch].push(new Float32Array(e.inputBuffer.getChannelData(ch)));
+            }
+        };
+
+        source.connect(this.processor);
+        // Processors only run while connected to the destination; its output is silent
+        this.processor.connect(ctx.destination);
+        this.isRecording = true;
+    }
+
+    // Returns the take as a WAV ArrayBuffer
+    stop() {
+        if (!this.isRecording) return null;
+
+        this.source.disconnect(this.processor);
+        this.processor.disconnect();
+        this.processor.onaudioprocess = null;
+        this.processor = null;
+        this.isRecording = false;
+
+        const channels = this.chunks.map(blocks => {
+            const length = blocks.reduce((sum, block) => sum + block.length, 0);
+            const data = new Float32Array(length);
+            let offset = 0;
+            blocks.forEach(block => {
+                data.set(block, offset);
+                offset += block.length;
+            });
+            return data;
+        });
+        this.chunks = [[], []];
+
+        return encodeWAV(channels, this.sampleRate);
+    }
+
+    download(wav, filename) {
+        downloadFile(wav, 'audio/wav', filename);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeWAV, DryerWavRecorder };
+}
@@ -0,0 +1,97 @@
+/**
+ * DryerAudio / DryerMixer patch tests
+ * Checks that the audio and mixer sections of an untrusted patch can't leave
+ * values behind that would make MIDIOutput.send or setValueAtTime throw.
+ *
+ * The audio classes are browser scripts, so they are loaded into one VM context
+ * in the same order as index.html. Nothing here needs Web Audio or Web MIDI.
+ *
+ * Run from the repo root (Node 18+, no install step):
+ *   node --test dryer/test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+['dryer-voices.js', 'dryer-mixer.js', 'dryer-audio.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+});
+const { DryerAudio, DryerMixer } = vm.runInContext('({ DryerAudio, DryerMixer })', context);
+
+// Copy out of the VM context, so deepEqual compares plain objects from this realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('hostile audio patches', () => {
+    it('keeps the current MIDI routing for values of the wrong type', () => {
+        const audio = new DryerAudio();
+        const before = plain(audio.getConfig());
+        audio.applyConfig({
+            channelMode: 'everywhere',
+            midiChannel: 'x',
+            surfaceChannels: { drum: 99, vane_leading: 'x', vane_trailing: -3, ghost: 4 },
+            gate: 'x',
+            scrapeMode: 'loud',
+            scrapeCC: NaN
+        });
+        const after = plain(audio.getConfig());
+
+        assert.equal(after.channelMode, before.channelMode);
+        assert.equal(after.midiChannel, before.midiChannel);
+        assert.deepEqual(after.surfaceChannels, { drum: 15, vane_leading: 1, vane_trailing: 0, ball: 3 });
+        assert.equal(after.gate, before.gate);
+        assert.equal(after.scrapeMode, before.scrapeMode);
+        assert.equal(after.scrapeCC, before.scrapeCC);
+    });
+
+    it('survives sections that are not objects', () => {
+        const audio = new DryerAudio();
+        audio.setSurfaceNote('drum', 40);
+        const before = plain(audio.getConfig());
+
+        assert.doesNotThrow(() => audio.applyConfig({ surfaces: null, surfaceChannels: 'x', voices: 7, mixer: null }));
+        assert.deepEqual(plain(audio.getConfig()), before);
+    });
+
+    it('accepts only known voices and valid surface overrides', () => {
+        const audio = new DryerAudio();
+        audio.applyConfig({
+            voices: { drum: 'membrane', vane_leading: 'kazoo' },
+            surfaces: { drum: { note: 300 }, vane_0_leading: { note: 'x', muted: 1 }, vane_1_trailing: 'x' }
+        });
+
+        assert.equal(audio.voices.assignments.drum, 'membrane');
+        assert.equal(audio.voices.assignments.vane_leading, 'fm');
+        assert.deepEqual(plain(audio.getConfig().surfaces), {
+            drum: { note: 127, muted: false },
+            vane_0_leading: { note: null, muted: true }
+        });
+    });
+});
+
+describe('hostile mixer patches', () => {
+    it('keeps the current levels for non-numbers and clamps the rest', () => {
+        const mixer = new DryerMixer();
+        mixer.applyConfig({
+            strips: { drum: { gain: 'x', pan: 5 }, vane_leading: null, vane_trailing: { gain: NaN, pan: NaN } },
+            panSpread: 'wide',
+            reverb: NaN
+        });
+
+        assert.deepEqual(plain(mixer.getConfig()), {
+            strips: {
+                drum: { gain: 1, pan: 1 },
+                vane_leading: { gain: 1, pan: 0 },
+                vane_trailing: { gain: 1, pan: 0 },
+                ball: { gain: 1, pan: 0 }
+            },
+            panSpread: 0.6,
+            reverb: 0.25,
+            limiter: true
+        });
+        assert.doesNotThrow(() => mixer.applyConfig({ strips: 'x' }));
+    });
+});
@@ -0,0 +1,520 @@
+/**
+ * DryerPhysics verification tests
+ * Checks the rotating-frame simulation against physics worked out independently:
+ * an inertial-frame integration of the same throw, energy with perfectly elastic
+ * bounces, balloon buoyancy, the drag / air-coupling model and the integrators
+ * and swept collisions, ball-on-ball hits - plus the clamping of configs loaded from patches and sliced Song Position jumps.
+ *
+ * Run from the repo root (Node 18+, no install step):
+ *   node --test dryer/test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DryerPhysics, DRYER_BALL_PRESETS, DRYER_BALL_LIMITS, DRYER_MAX_BALLS, DRYER_PARAMETER_LIMITS, FAST_FORWARD_SLICE } = require('../dryer-physics.js');
+
+const DT = 1 / 240;
+
+// A drum with one short vane and only the forces under test switched on
+function createPhysics(config = {}) {
+    const physics = new DryerPhysics();
+    physics.applyConfig({
+        rpm: 20,
+        drumSize: 80,
+        vanes: 1,
+        vaneHeight: 10,
+        balls: ['tennis'],
+        coriolis: true,
+        centrifugal: true,
+        drag: false,
+        friction: false,
+        ...config
+    });
+    return physics;
+}
+
+// Put the first ball somewhere specific (drum frame), at rest in the drum frame unless given a velocity
+function placeBall(physics, x, y, vx = 0, vy = 0) {
+    const ball = physics.ball;
+    ball.x = x;
+    ball.y = y;
+    ball.vx = vx;
+    ball.vy = vy;
+    ball.omega = 0;
+    ball.contacts.clear();
+    return ball;
+}
+
+function run(physics, seconds, dt = DT) {
+    const steps = Math.round(seconds / dt);
+    for (let i = 0; i < steps; i++) {
+        physics.step(dt);
+    }
+}
+
+// Drum frame -> lab frame (position and velocity)
+function toLab(physics, ball) {
+    const cos = Math.cos(physics.drumAngle);
+    const sin = Math.sin(physics.drumAngle);
+    const omega = physics.drumAngularVelocity;
+
+    // Lab velocity = R(θ)(v + ω × r)
+    const vx = ball.vx - omega * ball.y;
+    const vy = ball.vy + omega * ball.x;
+    return {
+        x: ball.x * cos - ball.y * sin,
+        y: ball.x * sin + ball.y * cos,
+        vx: vx * cos - vy * sin,
+        vy: vx * sin + vy * cos
+    };
+}
+
+// Total mechanical energy per unit mass in the lab frame, spin included
+function energy(physics, ball) {
+    const lab = toLab(physics, ball);
+    const spin = 0.5 * ball.inertia * ball.radius * ball.radius * ball.omega * ball.omega;
+    return 0.5 * (lab.vx * lab.vx + lab.vy * lab.vy) + spin + physics.gravity * lab.y;
+}
+
+function countHits(physics) {
+    const counter = { hits: 0 };
+    physics.onCollision(() => counter.hits++);
+    return counter;
+}
+
+describe('rotating frame vs inertial frame', () => {
+    // The fixed step integrates velocity-dependent forces (Coriolis) explicitly, so it is only
+    // first-order accurate: the right forces show up as an error that shrinks ~4x when the step
+    // does, while a wrong or missing force leaves a gap that doesn't go away.
+    const FINE = DT / 4;
+
+    // A ball thrown across the middle of a spinning drum flies a plain parabola in the lab.
+    // No air (so no drag or buoyancy) and no walls reached: any difference is a fictitious-force error.
+    function throwAcrossDrum(config, dt = DT, setup = () => {}) {
+        const physics = createPhysics({ rpm: 30, ...config });
+        setup(physics);
+        physics.airDensity = 0;
+        physics.reset();
+
+        const ball = placeBall(physics, -0.15, 0.05, 0.6, 1.2);
+        const start = toLab(physics, ball);
+        const counter = countHits(physics);
+
+        const seconds = 0.4;
+        run(physics, seconds, dt);
+        assert.equal(counter.hits, 0, 'the throw should stay clear of the walls and vanes');
+
+        // Independent inertial-frame solution
+        const g = physics.gravity;
+        const expected = {
+            x: start.x + start.vx * seconds,
+            y: start.y + start.vy * seconds - 0.5 * g * seconds * seconds
+        };
+        const actual = toLab(physics, ball);
+        return Math.hypot(actual.x - expected.x, actual.y - expected.y);
+    }
+
+    const mm = error => `${(error * 1000).toFixed(2)} mm`;
+
+    it('converges on the lab-frame parabola with Coriolis and centrifugal forces', () => {
+        const coarse = throwAcrossDrum({});
+        const fine = throwAcrossDrum({}, FINE);
+        assert.ok(fine < 0.005, `${mm(fine)} from the inertial solution at ${Math.round(1 / FINE)} Hz`);
+        assert.ok(coarse > fine * 3, `error only fell from ${mm(coarse)} to ${mm(fine)} with a 4x smaller step`);
+    });
+
+    it('misses with the Coriolis sign flipped, so the test can tell the signs apart', () => {
+        const fine = throwAcrossDrum({}, FINE, physics => { physics.coriolisSignFlip = -1; });
+        assert.ok(fine > 0.05, `only ${mm(fine)} off with the wrong Coriolis sign`);
+    });
+
+    it('misses without the Coriolis force', () => {
+        const fine = throwAcrossDrum({ coriolis: false }, FINE);
+        assert.ok(fine > 0.05, `only ${mm(fine)} off without Coriolis`);
+    });
+
+    it('converges while the drum speeds up and reverses (Euler force)', () => {
+        const speed = { mode: 'custom', curve: [100, -100], period: 0.2, ramp: 0.3 };
+        const coarse = throwAcrossDrum({ speed });
+        const fine = throwAcrossDrum({ speed }, FINE);
+        assert.ok(fine < 0.005, `${mm(fine)} from the inertial solution at ${Math.round(1 / FINE)} Hz`);
+        assert.ok(coarse > fine * 3, `error only fell from ${mm(coarse)} to ${mm(fine)} with a 4x smaller step`);
+    });
+
+    it('misses under a changing drum speed without the Euler force', () => {
+        const speed = { mode: 'custom', curve: [100, -100], period: 0.2, ramp: 0.3 };
+        const fine = throwAcrossDrum({ speed, euler: false }, FINE);
+        assert.ok(fine > 0.015, `only ${mm(fine)} off without the Euler force`);
+    });
+
+    it('lands closer with Verlet and RK4 than with semi-implicit Euler at the same step', () => {
+        const euler = throwAcrossDrum({ integrator: 'semi-implicit' });
+        const verlet = throwAcrossDrum({ integrator: 'verlet' });
+        const rk4 = throwAcrossDrum({ integrator: 'rk4' });
+        assert.ok(verlet < euler / 4, `Verlet ${mm(verlet)} vs semi-implicit ${mm(euler)}`);
+        assert.ok(rk4 < euler / 100, `RK4 ${mm(rk4)} vs semi-implicit ${mm(euler)}`);
+    });
+
+    it('keeps a ball at rest in the lab still while the drum turns', () => {
+        const physics = createPhysics({ rpm: 25 });
+        physics.airDensity = 0;
+        physics.gravity = 0;
+        physics.reset();
+
+        // At rest in the lab = moving backwards at ω × r in the drum frame
+        const omega = physics.drumAngularVelocity;
+        const ball = placeBall(physics, 0.3, 0, 0, -omega * 0.3);
+        run(physics, 1, FINE);
+
+        const lab = toLab(physics, ball);
+        assert.ok(Math.hypot(lab.x - 0.3, lab.y) < 0.006, `moved to (${lab.x.toFixed(4)}, ${lab.y.toFixed(4)})`);
+    });
+});
+
+describe('energy with perfectly elastic bounces', () => {
+    // A still drum is an inertial frame, so kinetic + potential energy is conserved by elastic
+    // bounces and can only be lost to friction - it must never grow.
+    // Semi-implicit Euler leaks ½g²dt² per step in flight (about 2 J/kg over 10 s at 240 Hz),
+    // so the loss bound is checked at a finer step.
+    function bounceAround(config, seconds, dt = DT) {
+        const physics = createPhysics({ rpm: 0, vanes: 4, vaneHeight: 30, ...config });
+        physics.airDensity = 0;
+        physics.setBallProperties(undefined, undefined, 1);
+        physics.reset();
+
+        const ball = placeBall(physics, 0.1, 0.2, 1.5, 0.5);
+        const counter = countHits(physics);
+        const start = energy(physics, ball);
+        let min = start;
+        let max = start;
+
+        const steps = Math.round(seconds / dt);
+        for (let i = 0; i < steps; i++) {
+            physics.step(dt);
+            const e = energy(physics, ball);
+            min = Math.min(min, e);
+            max = Math.max(max, e);
+        }
+        return { start, min, max, end: energy(physics, ball), hits: counter.hits };
+    }
+
+    const percent = (value, start) => `${(value / start * 100).toFixed(1)}%`;
+
+    it('never gains energy from frictionless bounces', () => {
+        const result = bounceAround({ friction: false }, 10);
+        assert.ok(result.hits > 20, `only ${result.hits} bounces`);
+        assert.ok(result.max <= result.start * 1.02, `energy grew to ${percent(result.max, result.start)}`);
+    });
+
+    it('stays within 5% over many frictionless bounces at a fine step', () => {
+        const result = bounceAround({ friction: false }, 10, DT / 8);
+        assert.ok(result.hits > 20, `only ${result.hits} bounces`);
+        assert.ok(result.max <= result.start * 1.02, `energy grew to ${percent(result.max, result.start)}`);
+        assert.ok(result.min >= result.start * 0.95, `energy fell to ${percent(result.min, result.start)}`);
+    });
+
+    it('never grows with friction and spin', () => {
+        const result = bounceAround({ friction: true }, 10);
+        assert.ok(result.hits > 20, `only ${result.hits} bounces`);
+        assert.ok(result.max <= result.start * 1.02, `energy grew to ${percent(result.max, result.start)}`);
+        assert.ok(result.end < result.start, 'friction should have taken some energy out');
+    });
+});
+
+describe('balloon buoyancy', () => {
+    const preset = DRYER_BALL_PRESETS.balloon;
+
+    it('is nearly as light as the air it displaces', () => {
+        const physics = createPhysics({ balls: ['balloon'] });
+        const ball = physics.ball;
+        const buoyancy = physics.airDensity * ball.volume / ball.mass;
+
+        assert.equal(ball.radius, preset.radius);
+        assert.ok(buoyancy > 0.85 && buoyancy < 1, `buoyancy factor ${buoyancy.toFixed(3)}`);
+    });
+
+    it('falls at g × (1 - ρ_air V / m) in still air', () => {
+        const physics = createPhysics({ rpm: 0, drumSize: 200, balls: ['balloon'] });
+        physics.reset();
+        const ball = placeBall(physics, 0, 0.5);
+        const buoyancy = physics.airDensity * ball.volume / ball.mass;
+
+        const seconds = 0.5;
+        run(physics, seconds);
+
+        const expectedDrop = 0.5 * physics.gravity * (1 - buoyancy) * seconds * seconds;
+        const drop = 0.5 - ball.y;
+        assert.ok(Math.abs(drop - expectedDrop) < expectedDrop * 0.02,
+            `fell ${drop.toFixed(4)} m, expected ${expectedDrop.toFixed(4)} m`);
+    });
+
+    it('falls far slower than a tennis ball', () => {
+        const drops = ['tennis', 'balloon'].map(type => {
+            const physics = createPhysics({ rpm: 0, drumSize: 200, balls: [type], drag: true });
+            physics.reset();
+            const ball = placeBall(physics, 0, 0.5);
+            run(physics, 0.5);
+            return 0.5 - ball.y;
+        });
+        assert.ok(drops[1] < drops[0] * 0.2, `balloon fell ${drops[1].toFixed(3)} m, tennis ${drops[0].toFixed(3)} m`);
+    });
+
+    it('floats in place when exactly as dense as the air', () => {
+        const physics = createPhysics({ rpm: 30, balls: ['balloon'] });
+        physics.reset();
+        const ball = placeBall(physics, 0.2, -0.1);
+        physics.airDensity = ball.mass / ball.volume;
+
+        // Buoyancy cancels gravity and the centrifugal force, and a ball at rest feels no Coriolis force
+        run(physics, 1);
+        assert.ok(Math.hypot(ball.x - 0.2, ball.y + 0.1) < 1e-9, `drifted to (${ball.x}, ${ball.y})`);
+    });
+});
+
+describe('drag and air coupling', () => {
+    it('slows a coasting ball as v(t) = v0 / (1 + k v0 t) in still air', () => {
+        const physics = createPhysics({ rpm: 0, drumSize: 300, drag: true });
+        physics.gravity = 0;
+        physics.reset();
+
+        const v0 = 5;
+        const ball = placeBall(physics, -1, 0, v0, 0);
+        const k = 0.5 * physics.airDensity * ball.dragCoeff * ball.area / ball.mass;
+
+        const seconds = 0.3;
+        run(physics, seconds);
+
+        const expected = v0 / (1 + k * v0 * seconds);
+        assert.ok(Math.abs(ball.vx - expected) < expected * 0.01, `v = ${ball.vx.toFixed(4)}, expected ${expected.toFixed(4)}`);
+        assert.ok(Math.abs(ball.vy) < 1e-9);
+    });
+
+    it('reaches the quadratic-drag terminal velocity', () => {
+        const physics = createPhysics({ rpm: 0, drumSize: 300, balls: ['balloon'], drag: true });
+        physics.reset();
+        const ball = placeBall(physics, 0, 1.2);
+
+        const buoyancy = physics.airDensity * ball.volume / ball.mass;
+        const weight = ball.mass * physics.gravity * (1 - buoyancy);
+        const terminal = Math.sqrt(2 * weight / (physics.airDensity * ball.dragCoeff * ball.area));
+
+        // From rest: v(t) = v_t tanh(a t / v_t)
+        const seconds = 1.5;
+        run(physics, seconds);
+        const expected = terminal * Math.tanh(physics.gravity * (1 - buoyancy) * seconds / terminal);
+        assert.ok(Math.abs(-ball.vy - expected) < expected * 0.02, `v = ${(-ball.vy).toFixed(4)}, expected ${expected.toFixed(4)}`);
+    });
+
+    it('has still air (in the drum frame) at the center and at the wall, lagging the drum between', () => {
+        const physics = createPhysics({ rpm: 30, vanes: 2, vaneHeight: 10 });
+        physics.reset();
+        const R = physics.drumRadius;
+
+        const tangential = r => physics.getAirVelocity(r, 0).y; // +y is the direction of rotation at (r, 0)
+        assert.equal(tangential(0), 0);
+        assert.ok(Math.abs(tangential(R)) < 1e-12);
+        [0.25, 0.5, 0.75].forEach(fraction => {
+            assert.ok(tangential(R * fraction) < 0, `air at ${fraction}R should trail the drum`);
+        });
+
+        // Slowest relative to the drum halfway out: v ∝ r(r/R - 1)
+        assert.ok(tangential(R * 0.5) < tangential(R * 0.25));
+        assert.ok(tangential(R * 0.5) < tangential(R * 0.75));
+    });
+
+    it('locks the air to the drum as vanes get more and taller', () => {
+        const lag = (vanes, vaneHeight) => {
+            const physics = createPhysics({ rpm: 30, vanes, vaneHeight });
+            physics.reset();
+            return Math.abs(physics.getAirVelocity(physics.drumRadius / 2, 0).y);
+        };
+        const couplings = [[1, 10], [4, 30], [7, 50]].map(([vanes, vaneHeight]) => {
+            return createPhysics({ vanes, vaneHeight }).getAirCoupling();
+        });
+
+        assert.ok(couplings[0] < couplings[1] && couplings[1] < couplings[2]);
+        assert.ok(lag(1, 10) > lag(4, 30) && lag(4, 30) > lag(7, 50));
+        assert.ok(couplings.every(c => c > 0 && c < 1));
+    });
+
+    it('reports each force term on the first ball, adding up to its acceleration', () => {
+        const physics = createPhysics({ rpm: 30, drag: true, speed: { mode: 'reverse', ramp: 2 } });
+        physics.reset();
+        run(physics, 0.5);
+
+        const ball = placeBall(physics, 0.2, -0.1, 0.4, 0.3);
+        const total = physics.getAcceleration(ball, ball.x, ball.y, ball.vx, ball.vy, physics.drumAngle, true);
+        const forces = Object.values(physics.debugInfo.forces);
+        const sum = forces.reduce((acc, force) => ({ x: acc.x + force.x, y: acc.y + force.y }), { x: 0, y: 0 });
+
+        assert.equal(forces.length, 6);
+        assert.ok(Math.hypot(sum.x - total.x, sum.y - total.y) < 1e-12);
+        assert.ok(forces.every(force => Math.hypot(force.x, force.y) > 0), 'every term should be active mid spin-up');
+    });
+
+    it('does not drag a ball that moves with the air', () => {
+        const physics = createPhysics({ rpm: 30, drag: true, centrifugal: false, coriolis: false });
+        physics.gravity = 0;
+        physics.reset();
+
+        const air = physics.getAirVelocity(0.3, 0);
+        const ball = placeBall(physics, 0.3, 0, air.x, air.y);
+        physics.integrateBall(ball, DT);
+
+        assert.ok(Math.hypot(ball.vx - air.x, ball.vy - air.y) < 1e-12);
+    });
+});
+
+describe('swept collisions', () => {
+    // A ball fired at a vane fast enough to jump clean over it in one step:
+    // 30 m/s is 12.5 cm per 240 Hz step, against a 7 cm tennis ball and a zero-thickness vane
+    function fireAtVane(config) {
+        const physics = createPhysics({ rpm: 0, vaneHeight: 30, ...config });
+        physics.gravity = 0;
+        physics.airDensity = 0;
+        physics.reset();
+
+        const ball = placeBall(physics, physics.drumRadius * 0.85, 0.06, 0, -30);
+        const counter = countHits(physics);
+        physics.step(DT);
+        return { ball, hits: counter.hits };
+    }
+
+    it('lets a fast ball tunnel through a vane with discrete checks and no substeps', () => {
+        const { ball, hits } = fireAtVane({ collisions: 'discrete', substeps: 1 });
+        assert.equal(hits, 0);
+        assert.ok(ball.y < 0, 'the ball should have ended up on the far side of the vane');
+    });
+
+    it('catches the same ball with a swept check', () => {
+        const { ball, hits } = fireAtVane({ collisions: 'swept', substeps: 1 });
+        assert.equal(hits, 1);
+        assert.ok(ball.y > ball.radius && ball.vy > 0, 'the ball should have bounced back off the vane');
+    });
+
+    it('catches it with adaptive substeps too', () => {
+        const physics = createPhysics({ substeps: 4 });
+        const ball = placeBall(physics, 0, 0, 0, -30);
+        assert.equal(physics.getSubstepCount(DT), 4);
+        ball.vy = -1;
+        assert.equal(physics.getSubstepCount(DT), 1);
+
+        const { hits } = fireAtVane({ collisions: 'discrete', substeps: 4 });
+        assert.equal(hits, 1);
+    });
+});
+
+describe('ball-on-ball hits', () => {
+    // Two tennis balls head-on in a still drum with no gravity, well away from the walls and the vane
+    function headOn() {
+        const physics = createPhysics({ rpm: 0, balls: ['tennis', 'tennis'] });
+        physics.gravity = 0;
+        const [a, b] = physics.balls;
+        placeBall(physics, -0.2, 0, 1, 0);
+        Object.assign(b, { x: 0.2, y: 0, vx: -1, vy: 0 });
+        return { physics, a, b };
+    }
+
+    it('reports a hit on the ball surface with both balls', () => {
+        const { physics } = headOn();
+        const hits = [];
+        physics.onCollision((surface, velocity, hit) => hits.push({ surface, velocity, hit }));
+        run(physics, 0.5);
+
+        assert.equal(hits.length, 1);
+        assert.equal(hits[0].surface, physics.ballSurface);
+        assert.equal(hits[0].hit.ballId, 0);
+        assert.equal(hits[0].hit.otherBallId, 1);
+        assert.ok(Math.abs(hits[0].velocity - 2) < 0.01);
+    });
+
+    it('stays silent while two balls are pressed together', () => {
+        const { physics, a, b } = headOn();
+        const counter = countHits(physics);
+        for (let i = 0; i < 240; i++) {
+            a.vx = 1;
+            b.vx = -1;
+            physics.step(DT);
+        }
+        assert.equal(counter.hits, 1);
+    });
+});
+
+describe('untrusted configs', () => {
+    it('keeps at least one ball and caps the count', () => {
+        const physics = createPhysics({ balls: ['tennis', 'sandbag'] });
+        physics.applyConfig({ balls: [] });
+        assert.equal(physics.balls.length, 2);
+
+        physics.applyConfig({ balls: new Array(1000).fill('tennis') });
+        assert.equal(physics.balls.length, DRYER_MAX_BALLS);
+        assert.equal(physics.addBall('tennis'), null);
+        assert.doesNotThrow(() => physics.getDebugInfo());
+    });
+
+    it('clamps knob values to the knob ranges and drops non-numbers', () => {
+        const physics = createPhysics({ rpm: 20, vanes: 3 });
+        physics.applyConfig(physics.clampConfig({ rpm: 1e6, drumSize: 0, vanes: 'lots', vaneHeight: 5 }));
+        const config = physics.getConfig();
+        assert.equal(config.rpm, DRYER_PARAMETER_LIMITS.rpm.max);
+        assert.equal(config.drumSize, DRYER_PARAMETER_LIMITS.drumSize.min);
+        assert.equal(config.vanes, 3);
+        assert.equal(physics.surfaces.length, 9);
+        assert.equal(config.vaneHeight, DRYER_PARAMETER_LIMITS.vaneHeight.min);
+
+        physics.applyConfig({ vaneShapes: [{ angle: 'x', height: 5, tilt: NaN }] });
+        assert.deepEqual(physics.vaneShapes[0], { angle: null, height: 0.9, tilt: 0, curve: 0 });
+
+        for (let i = 0; i < 240; i++) physics.step(DT);
+        assert.ok(Number.isFinite(physics.ball.x) && Number.isFinite(physics.ball.y));
+    });
+    it('clamps custom balls to the Lab panel ranges', () => {
+        const physics = createPhysics({
+            drag: true,
+            balls: [{ type: 'custom', radius: 0, mass: -1, restitution: 7, dragCoeff: 'fuzzy', inertia: null }]
+        });
+        const ball = physics.ball;
+        assert.equal(ball.radius, DRYER_BALL_LIMITS.radius.min);
+        assert.equal(ball.mass, DRYER_BALL_LIMITS.mass.min);
+        assert.equal(ball.restitution, DRYER_BALL_LIMITS.restitution.max);
+        assert.equal(ball.dragCoeff, DRYER_BALL_PRESETS.tennis.dragCoeff);
+        assert.equal(ball.friction, DRYER_BALL_PRESETS.tennis.friction);
+        assert.equal(ball.inertia, DRYER_BALL_LIMITS.inertia.min);
+
+        for (let i = 0; i < 240; i++) physics.step(DT);
+        assert.ok(Number.isFinite(ball.x) && Number.isFinite(ball.vx));
+    });
+
+    it('keeps the current speed profile values for non-numbers', () => {
+        const physics = createPhysics();
+        physics.setSpeedProfile({ mode: 'custom', ramp: 2, period: 4, pause: 1, curve: [100, -50] });
+        physics.applyConfig({ speed: { mode: 'wobble', ramp: 'x', period: null, pause: NaN, curve: ['a', 20] } });
+        assert.deepEqual(physics.speedProfile, { mode: 'constant', ramp: 2, period: 4, pause: 1, curve: [100, -50] });
+
+        physics.applyConfig({ speed: { mode: 'custom', curve: 'steep' } });
+        assert.deepEqual(physics.speedProfile.curve, [100, -50]);
+        assert.ok(Number.isFinite(physics.getSpeedFactor(3)));
+    });
+});
+
+describe('song position jumps', () => {
+    it('replays a long jump in slices to the same state as in one go', () => {
+        const whole = createPhysics({ drag: true, friction: true });
+        whole.fastForward(30);
+
+        const sliced = createPhysics({ drag: true, friction: true });
+        let hits = 0;
+        sliced.onCollision(() => hits++);
+        assert.equal(sliced.fastForward(30, 0), false);
+        let slices = 0;
+        do {
+            slices++;
+        } while (!sliced.continueFastForward());
+
+        assert.equal(slices, Math.ceil(30 / DT / FAST_FORWARD_SLICE));
+        assert.equal(hits, 0);
+        assert.equal(sliced.simTime, whole.simTime);
+        assert.equal(sliced.ball.x, whole.ball.x);
+        assert.equal(sliced.ball.vy, whole.ball.vy);
+    });
+});